@@ -0,0 +1,4305 @@
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
+const { ObjectId } = require("mongodb");
+const { pipeline } = require("stream/promises");
+const { validateBody, validateObjectIdParam } = require("./validation");
+const { createMemoryStore, createRateLimiter } = require("./rateLimit");
+const { createLogger, requestLogger } = require("./logger");
+const {
+  sendError,
+  createError,
+  notFoundHandler,
+  errorHandler,
+} = require("./errors");
+const { createOpenApiSpec, docsPage } = require("./openapi");
+const { createLocalStorage } = require("./storage");
+const { createMemoryBus } = require("./events");
+const {
+  FILE_TYPES,
+  THUMBNAIL_SIZES,
+  detectType,
+  receiveFile,
+  readImageSize,
+  createThumbnails,
+} = require("./uploads");
+
+// Why an account may not use protected routes right now (as the code,
+// message and details of a 403), or null
+const getAccountRestriction = (user) => {
+  if (user?.status === "banned") {
+    return {
+      code: "ACCOUNT_BANNED",
+      message: "Forbidden - Account banned",
+      details: { reason: user.statusReason || null },
+    };
+  }
+  if (
+    user?.status === "suspended" &&
+    new Date(user.suspendedUntil) > new Date()
+  ) {
+    return {
+      code: "ACCOUNT_SUSPENDED",
+      message: "Forbidden - Account suspended",
+      details: {
+        reason: user.statusReason || null,
+        suspendedUntil: user.suspendedUntil,
+      },
+    };
+  }
+  return null;
+};
+
+// Roles and what each one is allowed to do; higher roles inherit lower ones
+const ROLES = ["user", "moderator", "admin"];
+const userPermissions = ["posts:create", "posts:vote", "comments:create"];
+const moderatorPermissions = [
+  ...userPermissions,
+  "posts:delete",
+  "comments:read",
+  "posts:revisions",
+  "comments:delete",
+  "comments:moderate",
+];
+const PERMISSIONS = {
+  user: userPermissions,
+  moderator: moderatorPermissions,
+  admin: [
+    ...moderatorPermissions,
+    "posts:edit",
+    "posts:restore",
+    "comments:restore",
+    "tags:manage",
+    "announcements:manage",
+    "users:manage",
+    "payments:manage",
+    "settings:manage",
+    "stats:read",
+    "trash:read",
+  ],
+};
+
+const hasPermission = (user, permission) =>
+  (PERMISSIONS[user?.role] || []).includes(permission);
+
+// The roles granted `permission`, lowest first
+const rolesWithPermission = (permission) =>
+  ROLES.filter((role) => PERMISSIONS[role].includes(permission));
+
+// Comment report reasons, report statuses and moderator actions
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "misinformation",
+  "off_topic",
+  "other",
+];
+const REPORT_STATUSES = ["open", "dismissed", "actioned"];
+const MODERATION_ACTIONS = ["dismiss", "hide", "delete"];
+
+// Notification event types; users can opt out of each one
+const NOTIFICATION_TYPES = ["comment", "reply", "vote", "announcement"];
+
+// Who an announcement is shown to
+const ANNOUNCEMENT_AUDIENCES = ["all", "paid", "admins"];
+
+// Account states an admin can put a user in
+const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+
+// What an upload is for: files attached to posts/comments, or a profile picture
+const ASSET_PURPOSES = ["attachment", "avatar"];
+
+// Self-hosted image for users without a profile picture
+const DEFAULT_AVATAR_PATH = "/defaults/avatar.svg";
+
+// Request body schemas for the write routes (see validation.js)
+const schemas = {
+  user: {
+    name: { type: "string", maxLength: 100 },
+    email: { type: "string", required: true, format: "email" },
+    photoURL: { type: "string", format: "url", maxLength: 2048 },
+  },
+  profile: {
+    name: { type: "string", minLength: 1, maxLength: 60 },
+    bio: { type: "string", maxLength: 500, nullable: true },
+    skills: {
+      type: "array",
+      maxItems: 20,
+      items: { type: "string", minLength: 1, maxLength: 30 },
+    },
+    links: {
+      type: "object",
+      partial: true,
+      properties: {
+        github: {
+          type: "string",
+          format: "url",
+          maxLength: 200,
+          nullable: true,
+          pattern: /^https:\/\/(www\.)?github\.com\/[\w.-]+\/?$/i,
+          patternMessage: "must be a https://github.com/<username> link",
+        },
+        linkedin: {
+          type: "string",
+          format: "url",
+          maxLength: 200,
+          nullable: true,
+          pattern: /^https:\/\/([a-z]{2,3}\.)?linkedin\.com\/in\/[\w-]+\/?$/i,
+          patternMessage: "must be a https://linkedin.com/in/<profile> link",
+        },
+      },
+    },
+    // An uploaded avatar asset; null goes back to the default picture
+    avatarId: { type: "string", format: "objectId", nullable: true },
+  },
+  userRole: {
+    email: { type: "string", required: true, format: "email" },
+    role: { type: "string", required: true, enum: ROLES },
+  },
+  accountStatus: {
+    email: { type: "string", required: true, format: "email" },
+    status: { type: "string", required: true, enum: ACCOUNT_STATUSES },
+    // ISO date; required when suspending
+    until: { type: "string", maxLength: 40 },
+    reason: { type: "string", maxLength: 500 },
+  },
+  paymentStatus: {
+    email: { type: "string", required: true, format: "email" },
+    paymentStatus: { type: "string", enum: ["paid", "unpaid"] },
+  },
+  membershipConfig: {
+    price: { type: "number", min: 0.5 },
+    currency: { type: "string", minLength: 3, maxLength: 3 },
+    tiers: {
+      type: "object",
+      properties: {
+        unpaid: {
+          type: "object",
+          properties: {
+            name: { type: "string", maxLength: 30 },
+            badge: { type: "string", maxLength: 30 },
+            postLimit: { type: "integer", min: 0, nullable: true },
+          },
+        },
+        paid: {
+          type: "object",
+          properties: {
+            name: { type: "string", maxLength: 30 },
+            badge: { type: "string", maxLength: 30 },
+            postLimit: { type: "integer", min: 0, nullable: true },
+          },
+        },
+      },
+    },
+  },
+  post: {
+    title: {
+      type: "string",
+      required: true,
+      minLength: 3,
+      maxLength: 150,
+      maxLinks: 0,
+    },
+    description: {
+      type: "string",
+      required: true,
+      minLength: 1,
+      maxLength: 10000,
+      maxLinks: 5,
+    },
+    tag: { type: "string", required: true, maxLength: 50 },
+    attachments: {
+      type: "array",
+      maxItems: 4,
+      items: { type: "string", format: "objectId" },
+    },
+  },
+  vote: {
+    voteType: { type: "string", required: true, enum: ["upvote", "downvote"] },
+  },
+  comment: {
+    postId: { type: "string", required: true, format: "objectId" },
+    parentId: { type: "string", format: "objectId", nullable: true },
+    message: {
+      type: "string",
+      required: true,
+      minLength: 1,
+      maxLength: 2000,
+      maxLinks: 2,
+    },
+    attachments: {
+      type: "array",
+      maxItems: 2,
+      items: { type: "string", format: "objectId" },
+    },
+  },
+  commentEdit: {
+    message: {
+      type: "string",
+      required: true,
+      minLength: 1,
+      maxLength: 2000,
+      maxLinks: 2,
+    },
+  },
+  report: {
+    reason: { type: "string", required: true, enum: REPORT_REASONS },
+    details: { type: "string", maxLength: 500 },
+  },
+  moderation: {
+    action: { type: "string", required: true, enum: MODERATION_ACTIONS },
+    note: { type: "string", maxLength: 500 },
+  },
+  tag: {
+    value: { type: "string", required: true, maxLength: 50 },
+    label: { type: "string", required: true, maxLength: 50 },
+    slug: {
+      type: "string",
+      required: true,
+      maxLength: 50,
+      pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      patternMessage: "must be lowercase letters, numbers and dashes",
+    },
+    category: { type: "string", required: true, maxLength: 50 },
+  },
+  tagMerge: {
+    targetId: { type: "string", required: true, format: "objectId" },
+  },
+  announcement: {
+    title: { type: "string", required: true, minLength: 3, maxLength: 150 },
+    message: { type: "string", required: true, minLength: 1, maxLength: 5000 },
+    publishAt: { type: "string", format: "date" },
+    expiresAt: { type: "string", format: "date", nullable: true },
+    pinned: { type: "boolean" },
+    priority: { type: "integer", min: 0, max: 100 },
+    audience: { type: "string", enum: ANNOUNCEMENT_AUDIENCES },
+  },
+  // Multipart fields sent along with an upload
+  upload: {
+    purpose: { type: "string", enum: ASSET_PURPOSES },
+  },
+  notificationPreferences: Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])
+  ),
+};
+
+// Threaded comments: replies nest at most this deep (top-level comments are depth 0)
+const MAX_COMMENT_DEPTH = 3;
+// Authors can edit their comment for this long after posting
+const COMMENT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Recompute the denormalized vote counts and score from the voter lists
+const voteCountStages = [
+  {
+    $set: {
+      upVoteCount: { $size: { $ifNull: ["$upVote", []] } },
+      downVoteCount: { $size: { $ifNull: ["$downVote", []] } },
+    },
+  },
+  { $set: { score: { $subtract: ["$upVoteCount", "$downVoteCount"] } } },
+];
+
+// Update pipeline that toggles `email`'s "upvote"/"downvote" and refreshes
+// the counts in a single atomic write, so concurrent votes can't clobber each other
+const voteUpdatePipeline = (email, voteType) => {
+  const voter = { $literal: email };
+  const [same, other] =
+    voteType === "upvote" ? ["upVote", "downVote"] : ["downVote", "upVote"];
+  const without = (field) => ({
+    $filter: {
+      input: { $ifNull: [`$${field}`, []] },
+      cond: { $ne: ["$$this", voter] },
+    },
+  });
+
+  return [
+    {
+      $set: {
+        [same]: {
+          $cond: [
+            { $in: [voter, { $ifNull: [`$${same}`, []] }] },
+            without(same),
+            { $concatArrays: [without(same), [voter]] },
+          ],
+        },
+        [other]: without(other),
+      },
+    },
+    ...voteCountStages,
+  ];
+};
+
+// Replace the voter email lists with counts and the caller's own vote
+const withVoteState = (doc, email) => {
+  const { upVote = [], downVote = [], ...rest } = doc;
+  let myVote = null;
+  if (email && upVote.includes(email)) myVote = "upvote";
+  if (email && downVote.includes(email)) myVote = "downvote";
+
+  return {
+    ...rest,
+    upVoteCount: doc.upVoteCount ?? upVote.length,
+    downVoteCount: doc.downVoteCount ?? downVote.length,
+    score: doc.score ?? upVote.length - downVote.length,
+    myVote,
+  };
+};
+
+// Nest replies under their parents. Hidden and deleted comments only survive
+// as "[removed]"/"[deleted]" placeholders when they still have visible replies.
+const buildCommentTree = (roots, replies) => {
+  const childrenOf = new Map();
+  for (const reply of replies) {
+    const key = String(reply.parentId);
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(reply);
+  }
+
+  const toNode = (comment) => {
+    const children = (childrenOf.get(String(comment._id)) || [])
+      .map(toNode)
+      .filter(Boolean);
+
+    if (!comment.hidden && !comment.deletedAt) {
+      return { ...comment, replies: children };
+    }
+    if (children.length === 0) return null;
+
+    const { _id, postId, parentId, depth, createdAt } = comment;
+    return {
+      _id,
+      postId,
+      parentId,
+      depth,
+      createdAt,
+      hidden: Boolean(comment.hidden),
+      deleted: Boolean(comment.deletedAt),
+      message: comment.deletedAt ? "[deleted]" : "[removed]",
+      replies: children,
+    };
+  };
+
+  return roots.map(toNode).filter(Boolean);
+};
+
+// Parse ?page=&limit= into skip/limit values with sane bounds
+const getPagination = (query, defaultLimit = 10, maxLimit = 100) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Build the paginated response envelope shared by list endpoints
+const paginated = (key, items, total, { page, limit }) => ({
+  [key]: items,
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+});
+
+// Escape user input before it is used inside a $regex
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Escape text for use inside HTML
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Cut a snippet of `text` around the first search term and wrap matches in
+// <mark>. The result is HTML: everything except the marks is escaped.
+const highlight = (text, terms, radius = 60) => {
+  if (!text) return "";
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const firstMatch = text.search(pattern);
+  const start = Math.max((firstMatch === -1 ? 0 : firstMatch) - radius, 0);
+  const end = Math.min(start + radius * 2, text.length);
+
+  // With a capture group, split() puts the matches at the odd indexes
+  const marked = text
+    .slice(start, end)
+    .split(new RegExp(`(${pattern.source})`, "i"))
+    .map((part, i) =>
+      i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+  return (start > 0 ? "..." : "") + marked + (end < text.length ? "..." : "");
+};
+
+// A calendar date without a time, e.g. "2024-01-31"
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// How long GET /admin/stats results are cached
+const STATS_CACHE_TTL_MS = 60 * 1000;
+
+// Per-route rate limit budgets: requests per window, per user and per IP
+const RATE_LIMITS = {
+  "users:create": { windowMs: 60 * 60 * 1000, perIp: 10 },
+  "posts:create": { windowMs: 60 * 60 * 1000, perUser: 10, perIp: 30 },
+  "comments:create": { windowMs: 60 * 1000, perUser: 10, perIp: 30 },
+  "comments:report": { windowMs: 60 * 60 * 1000, perUser: 20, perIp: 60 },
+  votes: { windowMs: 60 * 1000, perUser: 60, perIp: 120 },
+  payments: { windowMs: 60 * 60 * 1000, perUser: 10, perIp: 20 },
+  uploads: { windowMs: 60 * 60 * 1000, perUser: 30, perIp: 60 },
+};
+
+// Authors can't post the same post or comment twice within this window
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// GET /readyz gives up on a dependency check after this long
+const READINESS_TIMEOUT_MS = 3000;
+
+// Resolve like `promise`, or reject once `ms` have passed
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Live update channels are "posts" (the feed) and "post:<id>" (one post's
+// detail page); events travel over the event bus passed to createApp().
+
+// Hold the response open as a Server-Sent Events stream for `channel`,
+// tracked in `openStreams` until the client goes away
+const openEventStream = (eventBus, openStreams, req, res, channel) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const send = ({ id, channels, type, data }) => {
+    if (!channels.includes(channel)) return;
+    res.write(
+      `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({
+        channel,
+        ...data,
+      })}\n\n`
+    );
+  };
+
+  // Streams never finish on their own; end them when the server shuts down
+  // so clients reconnect to another instance
+  const close = () => res.end();
+
+  const unsubscribe = eventBus.subscribe(send);
+  openStreams.add(close);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    openStreams.delete(close);
+  });
+};
+
+// The collections the app works with, keyed by name
+const getCollections = (database) => ({
+  posts: database.collection("posts"),
+  users: database.collection("users"),
+  tags: database.collection("tags"),
+  comments: database.collection("comments"),
+  announcements: database.collection("announcements"),
+  payments: database.collection("payments"),
+  settings: database.collection("settings"),
+  reports: database.collection("reports"),
+  moderationLogs: database.collection("moderationLogs"),
+  postRevisions: database.collection("postRevisions"),
+  notifications: database.collection("notifications"),
+  follows: database.collection("follows"),
+  bookmarks: database.collection("bookmarks"),
+  announcementReads: database.collection("announcementReads"),
+  rateLimits: database.collection("rateLimits"),
+  assets: database.collection("assets"),
+  liveEvents: database.collection("liveEvents"),
+});
+
+/**
+ * Create the indexes the routes rely on. index.js runs this once at startup,
+ * before taking traffic. A unique index can't be built while existing data
+ * breaks it (e.g. duplicate emails stored before users_email_unique), so one
+ * failure doesn't stop the others: resolves the errors of the indexes that
+ * failed, for the caller to log, and an empty array when all are in place.
+ */
+const ensureIndexes = async (collections) => {
+  const results = await Promise.allSettled([
+    // One account per email address
+    collections.users.createIndex(
+      { email: 1 },
+      { name: "users_email_unique", unique: true }
+    ),
+
+    // Listings by author, tag and score
+    collections.posts.createIndex(
+      { authorEmail: 1, timeOfPost: -1 },
+      { name: "posts_author" }
+    ),
+    collections.posts.createIndex({ tag: 1 }, { name: "posts_tag" }),
+    collections.posts.createIndex(
+      { score: -1, timeOfPost: -1 },
+      { name: "posts_score" }
+    ),
+    collections.comments.createIndex(
+      { postId: 1, createdAt: -1 },
+      { name: "comments_post" }
+    ),
+
+    // Text indexes backing GET /search (one text index per collection)
+    collections.posts.createIndex(
+      { title: "text", description: "text" },
+      { name: "posts_text", weights: { title: 3, description: 1 } }
+    ),
+    collections.tags.createIndex(
+      { label: "text", value: "text" },
+      { name: "tags_text" }
+    ),
+    collections.comments.createIndex(
+      { message: "text" },
+      { name: "comments_text" }
+    ),
+
+    // Tag slugs and values identify a tag, so neither may repeat
+    collections.tags.createIndex(
+      { slug: 1 },
+      { name: "tags_slug_unique", unique: true }
+    ),
+    collections.tags.createIndex(
+      { value: 1 },
+      { name: "tags_value_unique", unique: true }
+    ),
+
+    // One report per user per comment
+    collections.reports.createIndex(
+      { commentId: 1, reporterEmail: 1 },
+      { name: "reports_unique_reporter", unique: true }
+    ),
+
+    // A user follows another user (by email) or a tag (by value) at most once
+    collections.follows.createIndex(
+      { followerEmail: 1, targetType: 1, target: 1 },
+      { name: "follows_unique", unique: true }
+    ),
+    collections.follows.createIndex(
+      { targetType: 1, target: 1 },
+      { name: "follows_target" }
+    ),
+
+    collections.bookmarks.createIndex(
+      { email: 1, postId: 1 },
+      { name: "bookmarks_unique", unique: true }
+    ),
+    collections.announcementReads.createIndex(
+      { email: 1, announcementId: 1 },
+      { name: "announcement_reads_unique", unique: true }
+    ),
+    collections.notifications.createIndex(
+      { recipientEmail: 1, read: 1, createdAt: -1 },
+      { name: "notifications_inbox" }
+    ),
+    // Each recipient is notified of an announcement once, even when a run
+    // resumes a batch that a dead run had already sent (see
+    // notifyDueAnnouncements)
+    collections.notifications.createIndex(
+      { announcementId: 1, recipientEmail: 1 },
+      {
+        name: "notifications_announcement_unique",
+        unique: true,
+        partialFilterExpression: { type: "announcement" },
+      }
+    ),
+    collections.assets.createIndex(
+      { ownerEmail: 1, createdAt: -1 },
+      { name: "assets_owner" }
+    ),
+
+    // One payment document per PaymentIntent (the Stripe webhook relies on
+    // this to skip events it has already recorded)
+    collections.payments.createIndex(
+      { paymentIntentId: 1 },
+      {
+        name: "payments_intent_unique",
+        unique: true,
+        partialFilterExpression: { paymentIntentId: { $type: "string" } },
+      }
+    ),
+
+    // Rate limit windows (see rateLimit.js) are dropped once they end
+    collections.rateLimits.createIndex(
+      { expiresAt: 1 },
+      { name: "rate_limits_ttl", expireAfterSeconds: 0 }
+    ),
+
+    // Published events only need to outlive the change streams reading them
+    collections.liveEvents.createIndex(
+      { expiresAt: 1 },
+      { name: "live_events_ttl", expireAfterSeconds: 0 }
+    ),
+  ]);
+
+  return results
+    .filter((result) => result.status === "rejected")
+    .map((result) => result.reason);
+};
+
+/**
+ * One-off data migrations. index.js runs them once at startup, after
+ * ensureIndexes(); each only touches documents that still need it, so
+ * running them again is a no-op.
+ */
+const runMigrations = async (collections) => {
+  // Vote counts and score on posts and comments created before they were
+  // stored (see voteCountStages)
+  await Promise.all([
+    collections.posts.updateMany(
+      { score: { $exists: false } },
+      voteCountStages
+    ),
+    collections.comments.updateMany(
+      { score: { $exists: false } },
+      voteCountStages
+    ),
+  ]);
+};
+
+// Recipients read and notifications inserted per round trip when an
+// announcement goes out
+const ANNOUNCEMENT_BATCH_SIZE = 500;
+
+// How long a run may go without finishing a batch before another run takes
+// its announcement over
+const ANNOUNCEMENT_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Scheduled job: notify each announcement's audience once its publishAt has
+ * passed (index.js runs it on an interval; on Vercel, Cron calls
+ * GET /jobs/announcements). A run claims an announcement with a lease
+ * (`notifyingAt`), sends to recipients in _id order and, after every batch,
+ * records the last one sent (`notifiedThrough`) and renews the lease.
+ * `notifiedAt` is only set once the whole audience has been sent to, so if a
+ * run dies part way the next run takes the expired lease over and resumes
+ * after `notifiedThrough`. Announcements that expired before going out are
+ * skipped. Resolves how many announcements were finished.
+ */
+const notifyDueAnnouncements = async (collections) => {
+  let sent = 0;
+
+  for (;;) {
+    const now = new Date();
+    let lease = new Date();
+    const announcement = await collections.announcements.findOneAndUpdate(
+      {
+        notifiedAt: null,
+        publishAt: { $lte: now },
+        expiresAt: { $not: { $lte: now } },
+        $or: [
+          { notifyingAt: null },
+          {
+            notifyingAt: {
+              $lte: new Date(now.getTime() - ANNOUNCEMENT_LEASE_MS),
+            },
+          },
+        ],
+      },
+      { $set: { notifyingAt: lease } },
+      { returnDocument: "after" }
+    );
+    if (!announcement) return sent;
+
+    const audienceQuery = {
+      all: {},
+      paid: { paymentStatus: "paid" },
+      admins: { role: "admin" },
+    }[announcement.audience || "all"];
+    const authorEmail = announcement.author?.email;
+    const recipients = collections.users
+      .find(
+        {
+          ...audienceQuery,
+          ...(authorEmail && { email: { $ne: authorEmail } }),
+          ...(announcement.notifiedThrough && {
+            _id: { $gt: announcement.notifiedThrough },
+          }),
+          "notificationPreferences.announcement": { $ne: false },
+        },
+        { projection: { email: 1 } }
+      )
+      .sort({ _id: 1 })
+      .batchSize(ANNOUNCEMENT_BATCH_SIZE);
+
+    const createdAt = new Date();
+    let batch = [];
+    let lastId = null;
+    // Sends the batch and records progress under the lease. Resolves false
+    // when another run has taken the announcement over in the meantime.
+    const flush = async () => {
+      if (batch.length > 0) {
+        try {
+          await collections.notifications.insertMany(batch, {
+            ordered: false,
+          });
+        } catch (error) {
+          // Recipients a dead run sent to without recording it
+          // (notifications_announcement_unique turns those into duplicates)
+          if (!error.writeErrors?.every((e) => e.code === 11000)) throw error;
+        }
+      }
+      batch = [];
+      const renewedAt = new Date();
+      const { matchedCount } = await collections.announcements.updateOne(
+        { _id: announcement._id, notifyingAt: lease },
+        {
+          $set: {
+            notifyingAt: renewedAt,
+            ...(lastId && { notifiedThrough: lastId }),
+          },
+        }
+      );
+      lease = renewedAt;
+      return matchedCount === 1;
+    };
+
+    let leaseKept = true;
+    for await (const { _id, email } of recipients) {
+      batch.push({
+        type: "announcement",
+        actorEmail: authorEmail,
+        actorName: announcement.author?.name,
+        announcementId: announcement._id,
+        message: announcement.title,
+        recipientEmail: email,
+        read: false,
+        createdAt,
+      });
+      lastId = _id;
+      if (batch.length === ANNOUNCEMENT_BATCH_SIZE) {
+        leaseKept = await flush();
+        if (!leaseKept) break;
+      }
+    }
+    if (leaseKept) leaseKept = await flush();
+    if (!leaseKept) continue;
+
+    const finished = await collections.announcements.updateOne(
+      { _id: announcement._id, notifyingAt: lease },
+      { $set: { notifiedAt: new Date() } }
+    );
+    sent += finished.matchedCount;
+  }
+};
+
+/**
+ * Build the Express app around its dependencies so it can run against any
+ * database and auth provider (tests use mongodb-memory-server and a fake
+ * verifier; index.js wires up the real ones).
+ * - `collections`: the object returned by getCollections()
+ * - `verifyIdToken(token)`: resolves the decoded token ({ email, ... }) or throws
+ * - `stripe`: a Stripe client (paymentIntents.create, webhooks.constructEvent)
+ * - `stripeWebhookSecret`: signing secret for POST /webhooks/stripe
+ * - `rateLimitStore`: counter store for rate limiting (in-memory by default)
+ * - `eventBus`: carries live updates to GET /stream* (see events.js). The
+ *   in-memory default only reaches streams on the same instance.
+ * - `storage`: where uploaded files go (see storage.js; local disk by default)
+ * - `logger`: a createLogger() logger; each request gets a child as `req.log`
+ * - `readinessChecks`: name -> async function for GET /readyz; a check fails
+ *   when it throws or returns false
+ * - `cronSecret`: bearer token Vercel Cron sends to GET /jobs/*; those
+ *   routes answer 401 while it is unset
+ *
+ * Set `app.locals.shuttingDown` to make GET /readyz fail while draining.
+ * Errors are answered with the envelope described in errors.js.
+ */
+const createApp = ({
+  collections,
+  verifyIdToken,
+  stripe,
+  stripeWebhookSecret,
+  rateLimitStore = createMemoryStore(),
+  eventBus = createMemoryBus(),
+  logger = createLogger(),
+  readinessChecks = {},
+  storage = createLocalStorage(),
+  cronSecret,
+  trustProxy = false,
+}) => {
+  const app = express();
+  app.locals.shuttingDown = false;
+
+  // This app's open event streams; index.js's shutdown ends them through
+  // app.locals.closeEventStreams()
+  const openStreams = new Set();
+  app.locals.closeEventStreams = () => {
+    for (const close of openStreams) close();
+  };
+
+  // How many proxy hops in front of the app to trust for X-Forwarded-For
+  // (req.ip, which rate limiting keys on). Off by default: without a proxy
+  // that sets the header, clients could pick their own IP.
+  app.set("trust proxy", trustProxy);
+
+  app.use(requestLogger(logger));
+  app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
+  // Keep the raw request body around so the Stripe webhook can verify its signature
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  const postsCollection = collections.posts;
+  const usersCollection = collections.users;
+  const tagsCollection = collections.tags;
+  const commentsCollection = collections.comments;
+  const announcementsCollection = collections.announcements;
+  const paymentsCollection = collections.payments;
+  const settingsCollection = collections.settings;
+  const reportsCollection = collections.reports;
+  const moderationLogsCollection = collections.moderationLogs;
+  const postRevisionsCollection = collections.postRevisions;
+  const notificationsCollection = collections.notifications;
+  const followsCollection = collections.follows;
+  const bookmarksCollection = collections.bookmarks;
+  const announcementReadsCollection = collections.announcementReads;
+  const assetsCollection = collections.assets;
+
+  // Middleware to verify Firebase JWT token
+  const verifyToken = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith("Bearer ")) {
+      return sendError(res, 401, "Unauthorized - No token provided");
+    }
+    const token = authHeader.split(" ")[1];
+
+    try {
+      req.user = await verifyIdToken(token); // attach user info to req.user
+    } catch (err) {
+      req.log.warn("Token verification failed", { err });
+      return sendError(res, 403, "Forbidden - Invalid token", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    // Load the account once here (requirePermission/loadUser reuse it) and turn
+    // away banned or currently suspended users
+    try {
+      req.dbUser = await usersCollection.findOne({ email: req.user.email });
+    } catch (err) {
+      throw createError(500, "Failed to load user account", { cause: err });
+    }
+
+    const restriction = getAccountRestriction(req.dbUser);
+    if (restriction) {
+      return sendError(res, 403, restriction.message, restriction);
+    }
+    next();
+  };
+
+  // Send a live update to the streams listening on any of `channels`.
+  // Fire-and-forget: a failed publish never fails the request.
+  const publish = (channels, type, data) => {
+    eventBus
+      .publish({ channels, type, data })
+      .catch((err) => logger.error("Error publishing live event", { err }));
+  };
+
+  // Middleware: only let through scheduled job runs, which send
+  // "Authorization: Bearer <cronSecret>" (Vercel Cron uses CRON_SECRET)
+  const verifyCronSecret = (req, res, next) => {
+    const expected = Buffer.from(`Bearer ${cronSecret}`);
+    const actual = Buffer.from(req.headers.authorization || "");
+    if (
+      !cronSecret ||
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return sendError(res, 401, "Unauthorized - Invalid cron secret");
+    }
+    next();
+  };
+
+  // Counters live in memory unless a shared store is passed in (see index.js)
+  const rateLimiter = createRateLimiter(rateLimitStore);
+  const rateLimit = (name) => rateLimiter(name, RATE_LIMITS[name]);
+
+  // Middleware: attach req.user when a valid token is sent, but never reject
+  const optionalToken = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith("Bearer ")) {
+      try {
+        req.user = await verifyIdToken(authHeader.split(" ")[1]);
+      } catch (err) {
+        // An invalid token is treated like an anonymous request
+      }
+    }
+    next();
+  };
+
+  // Middleware: EventSource can't send headers, so streams may pass the
+  // Firebase token as ?access_token= before going through verifyToken
+  const verifyStreamToken = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    return verifyToken(req, res, next);
+  };
+
+  // Load the requester's user document once per request (after verifyToken)
+  const loadUser = async (req) => {
+    if (req.dbUser === undefined) {
+      req.dbUser = await usersCollection.findOne({ email: req.user.email });
+    }
+    return req.dbUser;
+  };
+
+  // Middleware: only let through users whose role grants `permission`
+  // (see PERMISSIONS)
+  const requirePermission = (permission) => async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!hasPermission(user, permission)) {
+        return sendError(
+          res,
+          403,
+          `Forbidden - Requires role: ${rolesWithPermission(permission).join(
+            " or "
+          )}`,
+          { details: { permission } }
+        );
+      }
+      next();
+    } catch (error) {
+      throw createError(500, "Failed to check user role", { cause: error });
+    }
+  };
+
+  // `replyCount` is the number of replies a thread still shows: visible ones,
+  // and removed ones kept as placeholders for their own replies. When a
+  // comment starts (delta 1) or stops (delta -1) being shown, its parent's
+  // count moves, and so on up the thread while that changes whether a
+  // removed parent is shown.
+  const updateReplyCounts = async (comment, delta) => {
+    let parentId = comment.parentId;
+    while (parentId) {
+      const parent = await commentsCollection.findOneAndUpdate(
+        { _id: parentId },
+        { $inc: { replyCount: delta } },
+        { returnDocument: "after" }
+      );
+      if (!parent || (!parent.hidden && !parent.deletedAt)) return;
+      const shownBefore = parent.replyCount - delta > 0;
+      if (parent.replyCount > 0 === shownBefore) return;
+      parentId = parent.parentId;
+    }
+  };
+
+  // Visible comments show in public threads whether or not they have replies
+  const isVisible = (comment) => !comment.hidden && !comment.deletedAt;
+
+  // Soft-delete a comment. Public threads drop it, or show a "[deleted]"
+  // placeholder while it still has visible replies; admins can restore it.
+  const removeComment = async (comment, deletedBy) => {
+    const removed = await commentsCollection.findOneAndUpdate(
+      { _id: comment._id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy } }
+    );
+    if (!removed) return false;
+
+    if (isVisible(removed) && !(removed.replyCount > 0)) {
+      await updateReplyCounts(removed, -1);
+    }
+    publish([`post:${comment.postId}`], "comment.deleted", {
+      postId: comment.postId,
+      commentId: comment._id,
+      placeholder: removed.replyCount > 0,
+    });
+    return true;
+  };
+
+  // Add a `bookmarked` flag to each post when the request is authenticated
+  const withBookmarks = async (posts, email) => {
+    if (!email || posts.length === 0) return posts;
+
+    const bookmarks = await bookmarksCollection
+      .find(
+        { email, postId: { $in: posts.map((post) => post._id) } },
+        { projection: { postId: 1 } }
+      )
+      .toArray();
+    const saved = new Set(bookmarks.map(({ postId }) => String(postId)));
+
+    return posts.map((post) => ({
+      ...post,
+      bookmarked: saved.has(String(post._id)),
+    }));
+  };
+
+  // Announcements `user` may see right now: published, not expired and
+  // aimed at their audience. Admins see every audience.
+  const visibleAnnouncementsQuery = (user) => {
+    const now = new Date();
+    const query = {
+      $and: [
+        { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      ],
+    };
+
+    if (user?.role !== "admin") {
+      const audiences = [null, "all"];
+      if (user?.paymentStatus === "paid") audiences.push("paid");
+      query.audience = { $in: audiences };
+    }
+    return query;
+  };
+
+  // Pinned first, then by priority, then newest
+  const announcementSort = {
+    pinned: -1,
+    priority: -1,
+    publishAt: -1,
+    postedAt: -1,
+  };
+
+  // Number of posts using each tag value, as a Map of value -> count
+  const getTagUsage = async (match = {}) => {
+    const usage = await postsCollection
+      .aggregate([
+        {
+          $match: {
+            ...match,
+            tag: { $exists: true, $ne: "" },
+            deletedAt: null,
+          },
+        },
+        {
+          $group: {
+            _id: "$tag",
+            posts: { $sum: 1 },
+            score: { $sum: { $ifNull: ["$score", 0] } },
+          },
+        },
+      ])
+      .toArray();
+    return new Map(usage.map(({ _id, ...counts }) => [_id, counts]));
+  };
+
+  // Write a notification for each recipient who hasn't opted out of `type`.
+  // Never notifies the actor about their own action. Failures are logged
+  // rather than thrown so they can't break the request that triggered them.
+  const notify = async (recipientEmails, notification) => {
+    try {
+      const emails = [...new Set(recipientEmails)].filter(
+        (email) => email && email !== notification.actorEmail
+      );
+      if (emails.length === 0) return;
+
+      const recipients = await usersCollection
+        .find(
+          {
+            email: { $in: emails },
+            [`notificationPreferences.${notification.type}`]: { $ne: false },
+          },
+          { projection: { email: 1 } }
+        )
+        .toArray();
+      if (recipients.length === 0) return;
+
+      const createdAt = new Date();
+      await notificationsCollection.insertMany(
+        recipients.map(({ email }) => ({
+          ...notification,
+          recipientEmail: email,
+          read: false,
+          createdAt,
+        }))
+      );
+    } catch (error) {
+      logger.error("Error creating notifications", { err: error });
+    }
+  };
+
+  // Membership tiers - defaults used until an admin saves a config document
+  const defaultMembershipConfig = {
+    price: 10,
+    currency: "usd",
+    tiers: {
+      unpaid: { name: "Bronze", badge: "Bronze", postLimit: 5 },
+      paid: { name: "Gold", badge: "Gold", postLimit: null }, // null = unlimited
+    },
+  };
+
+  const getMembershipConfig = async () => {
+    const config = await settingsCollection.findOne({ _id: "membership" });
+    if (!config) return defaultMembershipConfig;
+    return {
+      price: config.price ?? defaultMembershipConfig.price,
+      currency: config.currency || defaultMembershipConfig.currency,
+      tiers: {
+        unpaid: {
+          ...defaultMembershipConfig.tiers.unpaid,
+          ...config.tiers?.unpaid,
+        },
+        paid: {
+          ...defaultMembershipConfig.tiers.paid,
+          ...config.tiers?.paid,
+        },
+      },
+    };
+  };
+
+  // Work out a user's tier and how many posts they have left
+  const getPostQuota = async (email) => {
+    const [config, user, used] = await Promise.all([
+      getMembershipConfig(),
+      usersCollection.findOne({ email }),
+      postsCollection.countDocuments({ authorEmail: email, deletedAt: null }),
+    ]);
+    const paymentStatus = user?.paymentStatus === "paid" ? "paid" : "unpaid";
+    const tier = config.tiers[paymentStatus];
+    const limit = tier.postLimit ?? null;
+
+    return {
+      email,
+      paymentStatus,
+      tier: tier.name,
+      badge: tier.badge,
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      canPost: limit === null || used < limit,
+    };
+  };
+
+  // Full URL of `pathname` on this server, for links in responses. Built
+  // from the request's host, so never store it: documents keep the path.
+  const absoluteUrl = (req, pathname) =>
+    `${req.protocol}://${req.get("host")}${pathname}`;
+
+  // The caller's picture for content they create: their stored profile
+  // picture (e.g. an uploaded avatar), the one on their Firebase token, or
+  // the default. Call after verifyToken, which loads req.dbUser.
+  const pictureOf = (req) =>
+    req.dbUser?.photoURL || req.user.picture || DEFAULT_AVATAR_PATH;
+
+  // Pictures are stored as paths on this server; responses carry them as
+  // absolute URLs, since clients run on other origins
+  const pictureUrl = (req, picture) =>
+    typeof picture === "string" && /^\/(?!\/)/.test(picture)
+      ? absoluteUrl(req, picture)
+      : picture;
+
+  // Copy of a user, post or announcement with its pictures as absolute URLs
+  const withPictureUrls = (req, doc) => {
+    const result = { ...doc };
+    if (doc.photoURL) result.photoURL = pictureUrl(req, doc.photoURL);
+    if (doc.authorPhoto) result.authorPhoto = pictureUrl(req, doc.authorPhoto);
+    if (doc.author?.image) {
+      result.author = {
+        ...doc.author,
+        image: pictureUrl(req, doc.author.image),
+      };
+    }
+    return result;
+  };
+
+  const thumbnailPath = (assetId, size) =>
+    `/assets/${assetId}/thumbnails/${size}`;
+
+  // Every storage key holding one of `asset`'s files
+  const assetKeys = (asset) => [
+    asset.key,
+    ...(asset.thumbnails || []).map(({ key }) => key),
+  ];
+
+  // Delete stored files, logging (not throwing) what can't be removed
+  const removeStoredFiles = (req, keys) =>
+    Promise.all(
+      keys.map((key) =>
+        storage
+          .remove(key)
+          .catch((err) =>
+            req.log.error("Error removing stored file", { key, err })
+          )
+      )
+    );
+
+  // Public view of an asset document with the URLs it is served from
+  const toAssetResponse = (req, asset) => ({
+    _id: asset._id,
+    purpose: asset.purpose,
+    contentType: asset.contentType,
+    size: asset.size,
+    width: asset.width,
+    height: asset.height,
+    url: absoluteUrl(req, `/assets/${asset._id}`),
+    thumbnails: Object.fromEntries(
+      (asset.thumbnails || []).map(({ size }) => [
+        size,
+        absoluteUrl(req, thumbnailPath(asset._id, size)),
+      ])
+    ),
+    createdAt: asset.createdAt,
+  });
+
+  // Attachment IDs from a request body as ObjectIds, or null when one of them
+  // isn't an attachment uploaded by `ownerEmail`
+  const resolveAttachments = async (ids, ownerEmail) => {
+    const attachmentIds = [...new Set(ids)].map((id) => new ObjectId(id));
+    const owned = await assetsCollection.countDocuments({
+      _id: { $in: attachmentIds },
+      ownerEmail,
+      purpose: "attachment",
+    });
+    return owned === attachmentIds.length ? attachmentIds : null;
+  };
+
+  const invalidAttachments = (res) =>
+    sendError(res, 400, "Attachments must be files you uploaded", {
+      code: "INVALID_ATTACHMENT",
+    });
+
+  // Every :id-style route param must be a valid ObjectId
+  for (const param of ["id", "commentId", "postId"]) {
+    app.param(param, validateObjectIdParam);
+  }
+
+  // PUT /users - store user if not exists (no auth needed here)
+  app.post(
+    "/users",
+    rateLimit("users:create"),
+    validateBody(schemas.user),
+    async (req, res) => {
+      const { name, email, photoURL } = req.body;
+
+      try {
+        const existingUser = await usersCollection.findOne({ email });
+
+        if (existingUser) {
+          return res.status(200).json({ message: "User already exists" });
+        }
+
+        const newUser = {
+          name,
+          email,
+          photoURL,
+          role: "user",
+          paymentStatus: "unpaid",
+          createdAt: new Date(),
+        };
+
+        const result = await usersCollection.insertOne(newUser);
+        res.status(201).json({
+          message: "New user stored",
+          insertedId: result.insertedId,
+        });
+      } catch (error) {
+        // Two sign-ups can race on the unique email index - same result
+        if (error.code === 11000) {
+          return res.status(200).json({ message: "User already exists" });
+        }
+        throw createError(500, "Failed to store user", { cause: error });
+      }
+    }
+  );
+
+  // GET /users?search=&page=&limit=&sort=newest|name - fetch users (protected)
+  app.get("/users", verifyToken, async (req, res) => {
+    try {
+      const search = req.query.search || "";
+
+      let query = {};
+      if (search) {
+        query = {
+          $or: [
+            { name: { $regex: escapeRegex(search), $options: "i" } }, // case-insensitive name search
+            { email: { $regex: escapeRegex(search), $options: "i" } }, // case-insensitive email search
+          ],
+        };
+      }
+
+      const pagination = getPagination(req.query);
+      const sort =
+        req.query.sort === "name"
+          ? { name: 1, _id: 1 }
+          : { createdAt: -1, _id: -1 };
+
+      const [users, total] = await Promise.all([
+        usersCollection
+          .find(query)
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        usersCollection.countDocuments(query),
+      ]);
+      res.json(
+        paginated(
+          "users",
+          users.map((user) => withPictureUrls(req, user)),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      throw createError(500, "Failed to fetch users", { cause: error });
+    }
+  });
+
+  // PATCH /users/me - update the caller's profile (protected)
+  app.patch(
+    "/users/me",
+    verifyToken,
+    validateBody(schemas.profile, { partial: true }),
+    async (req, res) => {
+      const { links, ...fields } = req.body;
+      const update = { ...fields };
+      if (fields.skills) {
+        update.skills = [
+          ...new Set(fields.skills.map((skill) => skill.trim())),
+        ];
+      }
+      for (const [site, url] of Object.entries(links || {})) {
+        update[`links.${site}`] = url;
+      }
+
+      if (Object.keys(update).length === 0) {
+        return sendError(res, 400, "Nothing to update");
+      }
+
+      try {
+        // The profile picture follows the avatar: its largest thumbnail,
+        // or the default picture when the avatar is cleared
+        if (update.avatarId === null) {
+          update.photoURL = DEFAULT_AVATAR_PATH;
+        } else if (update.avatarId) {
+          const avatar = await assetsCollection.findOne({
+            _id: new ObjectId(update.avatarId),
+            ownerEmail: req.user.email,
+            purpose: "avatar",
+          });
+          if (!avatar) {
+            return sendError(res, 400, "Avatar must be an image you uploaded", {
+              code: "INVALID_AVATAR",
+            });
+          }
+          update.avatarId = avatar._id;
+          update.photoURL = thumbnailPath(
+            avatar._id,
+            Math.max(...THUMBNAIL_SIZES)
+          );
+        }
+
+        const user = await usersCollection.findOneAndUpdate(
+          { email: req.user.email },
+          { $set: { ...update, updatedAt: new Date() } },
+          { returnDocument: "after" }
+        );
+        if (!user) {
+          return sendError(res, 404, "User not found");
+        }
+
+        res.json({ success: true, user: withPictureUrls(req, user) });
+      } catch (error) {
+        throw createError(500, "Failed to update profile", { cause: error });
+      }
+    }
+  );
+
+  // GET /profiles/:id - public profile by user ID, without the email address - no auth required
+  app.get("/profiles/:id", async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!user) {
+        return sendError(res, 404, "Profile not found");
+      }
+
+      const authorEmail = user.email;
+      const [config, [totals], recentPosts, followerCount, followingCount] =
+        await Promise.all([
+          getMembershipConfig(),
+          postsCollection
+            .aggregate([
+              { $match: { authorEmail, deletedAt: null } },
+              {
+                $group: {
+                  _id: null,
+                  postCount: { $sum: 1 },
+                  upVotes: { $sum: { $ifNull: ["$upVoteCount", 0] } },
+                  downVotes: { $sum: { $ifNull: ["$downVoteCount", 0] } },
+                },
+              },
+            ])
+            .toArray(),
+          postsCollection
+            .find({ authorEmail, deletedAt: null })
+            .sort({ timeOfPost: -1 })
+            .limit(5)
+            .toArray(),
+          followsCollection.countDocuments({
+            targetType: "user",
+            target: authorEmail,
+          }),
+          followsCollection.countDocuments({ followerEmail: authorEmail }),
+        ]);
+      const tier =
+        user.paymentStatus === "paid" ? config.tiers.paid : config.tiers.unpaid;
+
+      res.json({
+        _id: user._id,
+        name: user.name,
+        photoURL: pictureUrl(req, user.photoURL),
+        bio: user.bio || "",
+        skills: user.skills || [],
+        links: user.links || {},
+        role: user.role,
+        badge: tier.badge,
+        joinedAt: user.createdAt,
+        followerCount,
+        followingCount,
+        postCount: totals?.postCount || 0,
+        votesReceived: {
+          up: totals?.upVotes || 0,
+          down: totals?.downVotes || 0,
+          score: (totals?.upVotes || 0) - (totals?.downVotes || 0),
+        },
+        recentPosts: recentPosts.map((post) => {
+          const { authorEmail: _email, ...rest } = withPictureUrls(
+            req,
+            withVoteState(post)
+          );
+          return rest;
+        }),
+      });
+    } catch (error) {
+      throw createError(500, "Failed to fetch profile", { cause: error });
+    }
+  });
+
+  // Follow a user or tag for the caller; `target` is the followed email or tag value
+  const follow = async (req, res, targetType, target, targetId) => {
+    try {
+      await followsCollection.updateOne(
+        { followerEmail: req.user.email, targetType, target },
+        { $setOnInsert: { targetId, createdAt: new Date() } },
+        { upsert: true }
+      );
+      res.status(201).json({ success: true, following: true });
+    } catch (error) {
+      // Two simultaneous follows can race on the unique index - same result
+      if (error.code === 11000) {
+        return res.status(201).json({ success: true, following: true });
+      }
+      throw createError(500, `Failed to follow ${targetType}`, {
+        cause: error,
+      });
+    }
+  };
+
+  const unfollow = async (req, res, targetType, targetId) => {
+    try {
+      await followsCollection.deleteOne({
+        followerEmail: req.user.email,
+        targetType,
+        targetId,
+      });
+      res.json({ success: true, following: false });
+    } catch (error) {
+      throw createError(500, `Failed to unfollow ${targetType}`, {
+        cause: error,
+      });
+    }
+  };
+
+  // POST /profiles/:id/follow - follow an author (protected)
+  app.post("/profiles/:id/follow", verifyToken, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!user) {
+        return sendError(res, 404, "Profile not found");
+      }
+      if (user.email === req.user.email) {
+        return sendError(res, 400, "You cannot follow yourself");
+      }
+
+      await follow(req, res, "user", user.email, user._id);
+    } catch (error) {
+      throw createError(500, "Failed to follow user", { cause: error });
+    }
+  });
+
+  // DELETE /profiles/:id/follow - unfollow an author (protected)
+  app.delete("/profiles/:id/follow", verifyToken, (req, res) =>
+    unfollow(req, res, "user", new ObjectId(req.params.id))
+  );
+
+  // POST /tags/:id/follow - follow a tag (protected)
+  app.post("/tags/:id/follow", verifyToken, async (req, res) => {
+    try {
+      const tag = await tagsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!tag) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      await follow(req, res, "tag", tag.value, tag._id);
+    } catch (error) {
+      throw createError(500, "Failed to follow tag", { cause: error });
+    }
+  });
+
+  // DELETE /tags/:id/follow - unfollow a tag (protected)
+  app.delete("/tags/:id/follow", verifyToken, (req, res) =>
+    unfollow(req, res, "tag", new ObjectId(req.params.id))
+  );
+
+  // GET /follows - who and what the caller follows, with counts (protected)
+  app.get("/follows", verifyToken, async (req, res) => {
+    try {
+      const email = req.user.email;
+      const [follows, followerCount] = await Promise.all([
+        followsCollection
+          .find({ followerEmail: email })
+          .sort({ createdAt: -1 })
+          .toArray(),
+        followsCollection.countDocuments({
+          targetType: "user",
+          target: email,
+        }),
+      ]);
+
+      const users = follows.filter((f) => f.targetType === "user");
+      const tags = follows.filter((f) => f.targetType === "tag");
+
+      res.json({
+        followerCount,
+        followingCount: follows.length,
+        // Followed authors are identified by profile ID, never by email
+        users: users.map(({ targetId, createdAt }) => ({
+          profileId: targetId,
+          followedAt: createdAt,
+        })),
+        tags: tags.map(({ targetId, target, createdAt }) => ({
+          tagId: targetId,
+          value: target,
+          followedAt: createdAt,
+        })),
+      });
+    } catch (error) {
+      throw createError(500, "Failed to fetch follows", { cause: error });
+    }
+  });
+
+  // GET /feed?page=&limit= - newest posts from followed authors and tags (protected)
+  app.get("/feed", verifyToken, async (req, res) => {
+    try {
+      const email = req.user.email;
+      const follows = await followsCollection
+        .find({ followerEmail: email })
+        .toArray();
+
+      const authors = follows
+        .filter((f) => f.targetType === "user")
+        .map((f) => f.target);
+      const tags = follows
+        .filter((f) => f.targetType === "tag")
+        .map((f) => f.target);
+
+      const pagination = getPagination(req.query);
+      if (authors.length === 0 && tags.length === 0) {
+        return res.json(paginated("posts", [], 0, pagination));
+      }
+
+      const query = {
+        $or: [{ authorEmail: { $in: authors } }, { tag: { $in: tags } }],
+        deletedAt: null,
+      };
+      const [posts, total] = await Promise.all([
+        postsCollection
+          .find(query)
+          .sort({ timeOfPost: -1, _id: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        postsCollection.countDocuments(query),
+      ]);
+
+      res.json(
+        paginated(
+          "posts",
+          await withBookmarks(
+            posts.map((post) =>
+              withPictureUrls(req, withVoteState(post, email))
+            ),
+            email
+          ),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      throw createError(500, "Failed to fetch feed", { cause: error });
+    }
+  });
+
+  // GET /users/:email - fetch user info by email (protected)
+  app.get("/users/:email", verifyToken, async (req, res) => {
+    const email = req.params.email;
+
+    if (!email) {
+      return sendError(res, 400, "Email is required");
+    }
+
+    try {
+      const user = await usersCollection.findOne({ email });
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      const { tiers } = await getMembershipConfig();
+      const tier = user.paymentStatus === "paid" ? tiers.paid : tiers.unpaid;
+      res.json({ ...withPictureUrls(req, user), badge: tier.badge });
+    } catch (error) {
+      throw createError(500, "Failed to fetch user info", { cause: error });
+    }
+  });
+
+  // GET /me - the caller's own user document, role and permissions (protected)
+  app.get("/me", verifyToken, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      res.json({
+        ...withPictureUrls(req, user),
+        role: user.role,
+        permissions: PERMISSIONS[user.role] || [],
+      });
+    } catch (error) {
+      throw createError(500, "Failed to fetch current user", { cause: error });
+    }
+  });
+
+  // GET /users/:email/quota - post quota for a user (protected, self or admin)
+  app.get("/users/:email/quota", verifyToken, async (req, res) => {
+    const email = req.params.email;
+
+    try {
+      if (
+        req.user.email !== email &&
+        !hasPermission(await loadUser(req), "users:manage")
+      ) {
+        return sendError(res, 403, "Forbidden");
+      }
+
+      const quota = await getPostQuota(email);
+      res.json(quota);
+    } catch (error) {
+      throw createError(500, "Failed to fetch post quota", { cause: error });
+    }
+  });
+
+  // GET /config/membership - membership price and tiers - no auth required
+  app.get("/config/membership", async (req, res) => {
+    try {
+      const config = await getMembershipConfig();
+      res.json(config);
+    } catch (error) {
+      throw createError(500, "Failed to fetch membership config", {
+        cause: error,
+      });
+    }
+  });
+
+  // PATCH /config/membership - update membership price and tiers (admin only)
+  app.patch(
+    "/config/membership",
+    verifyToken,
+    requirePermission("settings:manage"),
+    validateBody(schemas.membershipConfig, { partial: true }),
+    async (req, res) => {
+      const { price, currency, tiers } = req.body;
+
+      try {
+        const update = { updatedAt: new Date(), updatedBy: req.user.email };
+        if (price !== undefined) update.price = price;
+        if (currency) update.currency = currency;
+        for (const key of ["unpaid", "paid"]) {
+          for (const field of ["name", "badge", "postLimit"]) {
+            if (tiers?.[key]?.[field] !== undefined) {
+              update[`tiers.${key}.${field}`] = tiers[key][field];
+            }
+          }
+        }
+
+        await settingsCollection.updateOne(
+          { _id: "membership" },
+          { $set: update },
+          { upsert: true }
+        );
+
+        const config = await getMembershipConfig();
+        res.json({ success: true, config });
+      } catch (error) {
+        throw createError(500, "Failed to update membership config", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // POST /posts - create post (protected)
+  app.post(
+    "/posts",
+    verifyToken,
+    rateLimit("posts:create"),
+    validateBody(schemas.post),
+    async (req, res) => {
+      try {
+        const user = req.user;
+
+        const quota = await getPostQuota(user.email);
+        if (!quota.canPost) {
+          return sendError(
+            res,
+            403,
+            "Post limit reached - become a member to post more",
+            { code: "POST_LIMIT_REACHED", details: { quota } }
+          );
+        }
+
+        const duplicate = await postsCollection.findOne({
+          authorEmail: user.email,
+          title: req.body.title,
+          description: req.body.description,
+          deletedAt: null,
+          timeOfPost: {
+            $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS).toISOString(),
+          },
+        });
+        if (duplicate) {
+          return sendError(res, 409, "You already posted this recently", {
+            code: "DUPLICATE_CONTENT",
+          });
+        }
+
+        const attachments = await resolveAttachments(
+          req.body.attachments || [],
+          user.email
+        );
+        if (!attachments) return invalidAttachments(res);
+
+        const postData = {
+          ...req.body,
+          attachments,
+          authorEmail: user.email,
+          author: user.name || "Anonymous",
+          authorPhoto: pictureOf(req),
+          timeOfPost: new Date().toISOString(),
+          upVote: [],
+          downVote: [],
+          upVoteCount: 0,
+          downVoteCount: 0,
+          score: 0,
+        };
+
+        const result = await postsCollection.insertOne(postData);
+
+        const { upVote, downVote, ...post } = postData;
+        publish(["posts"], "post.created", {
+          post: withPictureUrls(req, post),
+        });
+
+        res.status(201).json(result);
+      } catch (error) {
+        throw createError(500, "Internal server error", { cause: error });
+      }
+    }
+  );
+
+  // GET /posts?email=&tag=&page=&limit=&sort=newest|popular - no auth required
+  app.get("/posts", optionalToken, async (req, res) => {
+    try {
+      const email = req.query.email;
+      const tag = req.query.tag;
+
+      let query = { deletedAt: null };
+      if (email) query.authorEmail = email;
+      if (tag) {
+        query.tag = tag;
+      }
+
+      const pagination = getPagination(req.query);
+      const sort =
+        req.query.sort === "popular"
+          ? { score: -1, timeOfPost: -1, _id: -1 }
+          : { timeOfPost: -1, _id: -1 };
+
+      const [posts, total] = await Promise.all([
+        postsCollection
+          .find(query)
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        postsCollection.countDocuments(query),
+      ]);
+      const viewerEmail = req.user?.email;
+      res.json(
+        paginated(
+          "posts",
+          await withBookmarks(
+            posts.map((post) =>
+              withPictureUrls(req, withVoteState(post, viewerEmail))
+            ),
+            viewerEmail
+          ),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      throw createError(500, "Internal server error", { cause: error });
+    }
+  });
+
+  // GET post by ID - no auth required
+  app.get("/posts/:id", optionalToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const post = await postsCollection.findOne({ _id: new ObjectId(id) });
+      // Deleted posts stay visible to admins so they can be restored
+      const canSeeDeleted =
+        req.user && hasPermission(await loadUser(req), "posts:restore");
+      if (!post || (post.deletedAt && !canSeeDeleted)) {
+        return sendError(res, 404, "Post not found");
+      }
+      const [withState] = await withBookmarks(
+        [withPictureUrls(req, withVoteState(post, req.user?.email))],
+        req.user?.email
+      );
+      res.json(withState);
+    } catch (error) {
+      throw createError(500, "Internal server error", { cause: error });
+    }
+  });
+
+  // PATCH /posts/:id - edit a post (author or admin), keeping the previous version
+  app.patch(
+    "/posts/:id",
+    verifyToken,
+    validateBody(schemas.post, { partial: true }),
+    async (req, res) => {
+      const id = req.params.id;
+      const changes = req.body;
+
+      if (Object.keys(changes).length === 0) {
+        return sendError(res, 400, "Nothing to update");
+      }
+
+      try {
+        const _id = new ObjectId(id);
+        const post = await postsCollection.findOne({ _id, deletedAt: null });
+        if (!post) return sendError(res, 404, "Post not found");
+
+        if (
+          req.user.email !== post.authorEmail &&
+          !hasPermission(await loadUser(req), "posts:edit")
+        ) {
+          return sendError(
+            res,
+            403,
+            "Forbidden - Not allowed to edit this post"
+          );
+        }
+
+        // Attachments stay the author's own files, even when an admin edits
+        if (changes.attachments) {
+          changes.attachments = await resolveAttachments(
+            changes.attachments,
+            post.authorEmail
+          );
+          if (!changes.attachments) return invalidAttachments(res);
+        }
+
+        const updatedAt = new Date();
+        // "before" hands back exactly the version this edit replaced
+        const previous = await postsCollection.findOneAndUpdate(
+          { _id, deletedAt: null },
+          { $set: { ...changes, updatedAt }, $inc: { revision: 1 } },
+          { returnDocument: "before" }
+        );
+        if (!previous) return sendError(res, 404, "Post not found");
+
+        const snapshot = {};
+        for (const field of Object.keys(schemas.post)) {
+          snapshot[field] = previous[field];
+        }
+        await postRevisionsCollection.insertOne({
+          postId: _id,
+          revision: previous.revision || 0,
+          snapshot,
+          changedFields: Object.keys(changes),
+          editedBy: req.user.email,
+          editedAt: updatedAt,
+        });
+
+        publish(["posts", `post:${id}`], "post.updated", {
+          postId: id,
+          changes,
+          updatedAt,
+        });
+
+        res.json({
+          success: true,
+          message: "Post updated",
+          revision: (previous.revision || 0) + 1,
+          updatedAt,
+        });
+      } catch (error) {
+        throw createError(500, "Internal server error", { cause: error });
+      }
+    }
+  );
+
+  // GET /posts/:id/revisions - previous versions of a post, newest first (admin/moderator)
+  app.get(
+    "/posts/:id/revisions",
+    verifyToken,
+    requirePermission("posts:revisions"),
+    async (req, res) => {
+      const id = req.params.id;
+
+      try {
+        const revisions = await postRevisionsCollection
+          .find({ postId: new ObjectId(id) })
+          .sort({ revision: -1 })
+          .toArray();
+
+        res.json(revisions);
+      } catch (error) {
+        throw createError(500, "Failed to fetch post revisions", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // DELETE a post by ID (protected)
+  app.delete("/posts/:id", verifyToken, async (req, res) => {
+    const id = req.params.id;
+
+    try {
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(id),
+        deletedAt: null,
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      // Only allow the author or admins/moderators to delete
+      if (
+        req.user.email !== post.authorEmail &&
+        !hasPermission(await loadUser(req), "posts:delete")
+      ) {
+        return sendError(
+          res,
+          403,
+          "Forbidden - Not allowed to delete this post"
+        );
+      }
+
+      // Soft delete: the post and its comments get a deletedAt stamp and
+      // drop out of public listings until an admin restores them
+      const deletedAt = new Date();
+      const deletedBy = req.user.email;
+      const result = await postsCollection.updateOne(
+        { _id: new ObjectId(id), deletedAt: null },
+        { $set: { deletedAt, deletedBy } }
+      );
+
+      if (result.modifiedCount === 1) {
+        await commentsCollection.updateMany(
+          { postId: id, deletedAt: null },
+          { $set: { deletedAt, deletedBy, deletedWithPost: true } }
+        );
+        publish(["posts", `post:${id}`], "post.deleted", { postId: id });
+        res.send({ success: true, message: "Post deleted successfully" });
+      } else {
+        sendError(res, 404, "Post not found");
+      }
+    } catch (err) {
+      throw createError(500, "Internal server error", { cause: err });
+    }
+  });
+
+  // PATCH /posts/:id/restore - undo a post deletion and its comment cascade (admin only)
+  app.patch(
+    "/posts/:id/restore",
+    verifyToken,
+    requirePermission("posts:restore"),
+    async (req, res) => {
+      const id = req.params.id;
+
+      try {
+        const result = await postsCollection.updateOne(
+          { _id: new ObjectId(id), deletedAt: { $ne: null } },
+          { $unset: { deletedAt: "", deletedBy: "" } }
+        );
+        if (result.modifiedCount === 0) {
+          return sendError(res, 404, "Deleted post not found");
+        }
+
+        const comments = await commentsCollection.updateMany(
+          { postId: id, deletedWithPost: true },
+          { $unset: { deletedAt: "", deletedBy: "", deletedWithPost: "" } }
+        );
+
+        publish(["posts", `post:${id}`], "post.restored", { postId: id });
+        res.json({
+          success: true,
+          message: "Post restored",
+          restoredComments: comments.modifiedCount,
+        });
+      } catch (error) {
+        throw createError(500, "Failed to restore post", { cause: error });
+      }
+    }
+  );
+
+  // POST /posts/:id/bookmark - save a post for later (protected)
+  app.post("/posts/:id/bookmark", verifyToken, async (req, res) => {
+    try {
+      const postId = new ObjectId(req.params.id);
+      const post = await postsCollection.findOne(
+        { _id: postId, deletedAt: null },
+        { projection: { _id: 1 } }
+      );
+      if (!post) return sendError(res, 404, "Post not found");
+
+      await bookmarksCollection.updateOne(
+        { email: req.user.email, postId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+      res.status(201).json({ success: true, bookmarked: true });
+    } catch (error) {
+      // A double-click can race on the unique index - already saved
+      if (error.code === 11000) {
+        return res.status(201).json({ success: true, bookmarked: true });
+      }
+      throw createError(500, "Failed to bookmark post", { cause: error });
+    }
+  });
+
+  // DELETE /posts/:id/bookmark - remove a saved post (protected)
+  app.delete("/posts/:id/bookmark", verifyToken, async (req, res) => {
+    try {
+      await bookmarksCollection.deleteOne({
+        email: req.user.email,
+        postId: new ObjectId(req.params.id),
+      });
+      res.json({ success: true, bookmarked: false });
+    } catch (error) {
+      throw createError(500, "Failed to remove bookmark", { cause: error });
+    }
+  });
+
+  // GET /bookmarks?page=&limit= - the caller's saved posts, most recently saved first (protected)
+  app.get("/bookmarks", verifyToken, async (req, res) => {
+    try {
+      const email = req.user.email;
+      const pagination = getPagination(req.query);
+
+      // Bookmarks of soft-deleted posts are kept (for a restore) but not listed
+      const [{ bookmarks, total }] = await bookmarksCollection
+        .aggregate([
+          { $match: { email } },
+          {
+            $lookup: {
+              from: "posts",
+              localField: "postId",
+              foreignField: "_id",
+              as: "post",
+            },
+          },
+          { $unwind: "$post" },
+          { $match: { "post.deletedAt": null } },
+          { $sort: { createdAt: -1, _id: -1 } },
+          {
+            $facet: {
+              bookmarks: [
+                { $skip: pagination.skip },
+                { $limit: pagination.limit },
+              ],
+              total: [{ $count: "count" }],
+            },
+          },
+        ])
+        .toArray();
+
+      const posts = bookmarks.map(({ post, createdAt }) => ({
+        ...withPictureUrls(req, withVoteState(post, email)),
+        bookmarked: true,
+        bookmarkedAt: createdAt,
+      }));
+      res.json(paginated("posts", posts, total[0]?.count || 0, pagination));
+    } catch (error) {
+      throw createError(500, "Failed to fetch bookmarks", { cause: error });
+    }
+  });
+
+  // PATCH /posts/:id/vote - toggle an upvote/downvote (protected)
+  app.patch(
+    "/posts/:id/vote",
+    verifyToken,
+    rateLimit("votes"),
+    validateBody(schemas.vote),
+    async (req, res) => {
+      const { id } = req.params;
+      const { voteType } = req.body;
+      const userEmail = req.user.email;
+
+      try {
+        const post = await postsCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), deletedAt: null },
+          voteUpdatePipeline(userEmail, voteType),
+          { returnDocument: "after" }
+        );
+        if (!post) return sendError(res, 404, "Post not found");
+
+        const { upVoteCount, downVoteCount, score, myVote } = withVoteState(
+          post,
+          userEmail
+        );
+
+        // Only new votes notify; taking a vote back stays silent
+        if (myVote) {
+          const actorName = req.user.name || "Someone";
+          await notify([post.authorEmail], {
+            type: "vote",
+            actorEmail: userEmail,
+            actorName,
+            postId: id,
+            postTitle: post.title,
+            voteType: myVote,
+            message: `${actorName} ${myVote}d your post`,
+          });
+        }
+
+        publish(["posts", `post:${id}`], "post.votes", {
+          postId: id,
+          upVoteCount,
+          downVoteCount,
+          score,
+        });
+
+        res.json({ upVoteCount, downVoteCount, score, myVote });
+      } catch (err) {
+        throw createError(500, "Vote update failed", { cause: err });
+      }
+    }
+  );
+
+  // GET /search?q=&type=post|tag|comment&limit= - full-text search - no auth required
+  app.get("/search", async (req, res) => {
+    const q = (req.query.q || "").trim();
+    const type = req.query.type;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      50
+    );
+
+    if (!q) {
+      return sendError(res, 400, "Search query is required");
+    }
+    if (q.length > 100) {
+      return sendError(res, 400, "Search query is too long");
+    }
+
+    const terms = q.split(/\s+/).filter(Boolean);
+    const textQuery = { $text: { $search: q } };
+    const projection = { score: { $meta: "textScore" } };
+    const byScore = { score: { $meta: "textScore" } };
+    const wants = (kind) => !type || type === kind;
+
+    try {
+      const [posts, tags, comments] = await Promise.all([
+        wants("post")
+          ? postsCollection
+              .find({ ...textQuery, deletedAt: null }, { projection })
+              .sort(byScore)
+              .limit(limit)
+              .toArray()
+          : [],
+        wants("tag")
+          ? tagsCollection
+              .find(textQuery, { projection })
+              .sort(byScore)
+              .limit(limit)
+              .toArray()
+          : [],
+        wants("comment")
+          ? commentsCollection
+              .find(
+                { ...textQuery, hidden: { $ne: true }, deletedAt: null },
+                { projection }
+              )
+              .sort(byScore)
+              .limit(limit)
+              .toArray()
+          : [],
+      ]);
+
+      const results = [
+        ...posts.map((post) => ({
+          type: "post",
+          id: post._id,
+          title: post.title,
+          snippet: highlight(post.description || post.title, terms),
+          score: post.score,
+        })),
+        ...tags.map((tag) => ({
+          type: "tag",
+          id: tag._id,
+          title: tag.label,
+          slug: tag.slug,
+          snippet: highlight(tag.label, terms),
+          score: tag.score,
+        })),
+        ...comments.map((comment) => ({
+          type: "comment",
+          id: comment._id,
+          postId: comment.postId,
+          title: comment.name,
+          snippet: highlight(comment.message, terms),
+          score: comment.score,
+        })),
+      ]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      res.json({ query: q, total: results.length, results });
+    } catch (error) {
+      throw createError(500, "Search failed", { cause: error });
+    }
+  });
+
+  // POST /tags - add a new tag (admin only)
+  app.post(
+    "/tags",
+    verifyToken,
+    requirePermission("tags:manage"),
+    validateBody(schemas.tag),
+    async (req, res) => {
+      const { value, label, slug, category } = req.body;
+
+      try {
+        const tag = {
+          value,
+          label,
+          slug,
+          category,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+
+        const result = await tagsCollection.insertOne(tag);
+        res.status(201).json({
+          success: true,
+          message: "Tag created successfully",
+          insertedId: result.insertedId,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return sendError(
+            res,
+            409,
+            "A tag with this slug or value already exists"
+          );
+        }
+        throw createError(500, "Failed to add tag", { cause: error });
+      }
+    }
+  );
+
+  // GET /tags - every tag with its post count, most used first - no auth required
+  app.get("/tags", async (req, res) => {
+    try {
+      const [tags, usage] = await Promise.all([
+        tagsCollection.find().toArray(),
+        getTagUsage(),
+      ]);
+
+      const withCounts = tags
+        .map((tag) => {
+          const postCount = usage.get(tag.value)?.posts || 0;
+          return { ...tag, postCount, popularity: postCount };
+        })
+        .sort((a, b) => b.postCount - a.postCount);
+
+      res.json(withCounts);
+    } catch (err) {
+      throw createError(500, "Failed to fetch tags", { cause: err });
+    }
+  });
+
+  // GET /tags/trending?days=7&limit=10 - tags ranked by recent post activity - no auth required
+  app.get("/tags/trending", async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 10, 1),
+      50
+    );
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    try {
+      const [tags, usage] = await Promise.all([
+        tagsCollection.find().toArray(),
+        getTagUsage({ timeOfPost: { $gte: since.toISOString() } }),
+      ]);
+
+      const trending = tags
+        .filter((tag) => usage.has(tag.value))
+        .map((tag) => ({
+          ...tag,
+          recentPosts: usage.get(tag.value).posts,
+          recentScore: usage.get(tag.value).score,
+        }))
+        .sort(
+          (a, b) =>
+            b.recentPosts - a.recentPosts || b.recentScore - a.recentScore
+        )
+        .slice(0, limit);
+
+      res.json({ days, tags: trending });
+    } catch (err) {
+      throw createError(500, "Failed to fetch trending tags", { cause: err });
+    }
+  });
+
+  // PATCH /tags/:id - update a tag; renaming its value retags its posts (admin only)
+  app.patch(
+    "/tags/:id",
+    verifyToken,
+    requirePermission("tags:manage"),
+    validateBody(schemas.tag, { partial: true }),
+    async (req, res) => {
+      const changes = req.body;
+
+      if (Object.keys(changes).length === 0) {
+        return sendError(res, 400, "Nothing to update");
+      }
+
+      try {
+        const previous = await tagsCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          { $set: { ...changes, updatedAt: new Date() } },
+          { returnDocument: "before" }
+        );
+        if (!previous) {
+          return sendError(res, 404, "Tag not found");
+        }
+
+        let retaggedPosts = 0;
+        if (changes.value && changes.value !== previous.value) {
+          const result = await postsCollection.updateMany(
+            { tag: previous.value },
+            { $set: { tag: changes.value } }
+          );
+          retaggedPosts = result.modifiedCount;
+          await followsCollection.updateMany(
+            { targetType: "tag", targetId: previous._id },
+            { $set: { target: changes.value } }
+          );
+        }
+
+        res.json({ success: true, message: "Tag updated", retaggedPosts });
+      } catch (error) {
+        if (error.code === 11000) {
+          return sendError(
+            res,
+            409,
+            "A tag with this slug or value already exists"
+          );
+        }
+        throw createError(500, "Failed to update tag", { cause: error });
+      }
+    }
+  );
+
+  // POST /tags/:id/merge - move every post from this tag to targetId, then delete it (admin only)
+  app.post(
+    "/tags/:id/merge",
+    verifyToken,
+    requirePermission("tags:manage"),
+    validateBody(schemas.tagMerge),
+    async (req, res) => {
+      const { id } = req.params;
+      const { targetId } = req.body;
+
+      if (id === targetId) {
+        return sendError(res, 400, "Cannot merge a tag into itself");
+      }
+
+      try {
+        const [source, target] = await Promise.all([
+          tagsCollection.findOne({ _id: new ObjectId(id) }),
+          tagsCollection.findOne({ _id: new ObjectId(targetId) }),
+        ]);
+        if (!source || !target) {
+          return sendError(res, 404, "Tag not found");
+        }
+
+        const result = await postsCollection.updateMany(
+          { tag: source.value },
+          { $set: { tag: target.value } }
+        );
+        await tagsCollection.deleteOne({ _id: source._id });
+
+        // Followers of the old tag now follow the target tag
+        const sourceFollows = await followsCollection
+          .find({ targetType: "tag", targetId: source._id })
+          .toArray();
+        if (sourceFollows.length > 0) {
+          await followsCollection.bulkWrite(
+            sourceFollows.map(({ followerEmail, createdAt }) => ({
+              updateOne: {
+                filter: {
+                  followerEmail,
+                  targetType: "tag",
+                  target: target.value,
+                },
+                update: { $setOnInsert: { targetId: target._id, createdAt } },
+                upsert: true,
+              },
+            }))
+          );
+          await followsCollection.deleteMany({
+            targetType: "tag",
+            targetId: source._id,
+          });
+        }
+
+        res.json({
+          success: true,
+          message: `Merged "${source.label}" into "${target.label}"`,
+          retaggedPosts: result.modifiedCount,
+        });
+      } catch (error) {
+        throw createError(500, "Failed to merge tags", { cause: error });
+      }
+    }
+  );
+
+  // DELETE /tags/:id - delete an unused tag (admin only; merge tags that are in use)
+  app.delete(
+    "/tags/:id",
+    verifyToken,
+    requirePermission("tags:manage"),
+    async (req, res) => {
+      try {
+        const tag = await tagsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!tag) {
+          return sendError(res, 404, "Tag not found");
+        }
+
+        const postCount = await postsCollection.countDocuments({
+          tag: tag.value,
+        });
+        if (postCount > 0) {
+          return sendError(
+            res,
+            409,
+            `Tag is used by ${postCount} posts - merge it into another tag instead`,
+            { details: { postCount } }
+          );
+        }
+
+        await tagsCollection.deleteOne({ _id: tag._id });
+        await followsCollection.deleteMany({
+          targetType: "tag",
+          targetId: tag._id,
+        });
+        res.json({ success: true, message: "Tag deleted" });
+      } catch (error) {
+        throw createError(500, "Failed to delete tag", { cause: error });
+      }
+    }
+  );
+
+  // POST /comments - add comment (protected)
+  app.post(
+    "/comments",
+    verifyToken,
+    rateLimit("comments:create"),
+    validateBody(schemas.comment),
+    async (req, res) => {
+      const comment = req.body;
+
+      try {
+        const duplicate = await commentsCollection.findOne({
+          postId: comment.postId,
+          email: req.user.email,
+          message: comment.message,
+          deletedAt: null,
+          createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+        });
+        if (duplicate) {
+          return sendError(res, 409, "You already posted this comment", {
+            code: "DUPLICATE_CONTENT",
+          });
+        }
+
+        const post = await postsCollection.findOne(
+          { _id: new ObjectId(comment.postId), deletedAt: null },
+          { projection: { authorEmail: 1, title: 1 } }
+        );
+        if (!post) {
+          return sendError(res, 404, "Post not found");
+        }
+
+        let parent = null;
+        if (comment.parentId) {
+          parent = await commentsCollection.findOne({
+            _id: new ObjectId(comment.parentId),
+          });
+
+          if (
+            !parent ||
+            parent.deletedAt ||
+            parent.hidden ||
+            parent.postId !== comment.postId
+          ) {
+            return sendError(res, 404, "Parent comment not found");
+          }
+
+          if ((parent.depth || 0) + 1 > MAX_COMMENT_DEPTH) {
+            return sendError(
+              res,
+              400,
+              `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`
+            );
+          }
+        }
+
+        comment.attachments = await resolveAttachments(
+          comment.attachments || [],
+          req.user.email
+        );
+        if (!comment.attachments) return invalidAttachments(res);
+
+        comment.parentId = parent ? parent._id : null;
+        comment.rootId = parent ? parent.rootId || parent._id : null;
+        comment.depth = parent ? (parent.depth || 0) + 1 : 0;
+        comment.replyCount = 0;
+        comment.upVote = [];
+        comment.downVote = [];
+        comment.upVoteCount = 0;
+        comment.downVoteCount = 0;
+        comment.score = 0;
+        comment.name = req.user.name || "Anonymous"; // optionally add name from token
+        comment.email = req.user.email;
+        comment.createdAt = new Date();
+
+        const result = await commentsCollection.insertOne(comment);
+        if (parent) {
+          await commentsCollection.updateOne(
+            { _id: parent._id },
+            { $inc: { replyCount: 1 } }
+          );
+        }
+
+        const event = {
+          actorEmail: comment.email,
+          actorName: comment.name,
+          postId: comment.postId,
+          commentId: result.insertedId,
+          postTitle: post.title,
+        };
+        if (parent?.email) {
+          await notify([parent.email], {
+            ...event,
+            type: "reply",
+            message: `${comment.name} replied to your comment`,
+          });
+        }
+        if (post.authorEmail !== parent?.email) {
+          await notify([post.authorEmail], {
+            ...event,
+            type: "comment",
+            message: `${comment.name} commented on your post`,
+          });
+        }
+
+        const { upVote, downVote, ...created } = comment;
+        publish([`post:${comment.postId}`], "comment.created", {
+          postId: comment.postId,
+          comment: created,
+        });
+
+        res.status(201).json({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        throw createError(500, "Failed to save comment", { cause: error });
+      }
+    }
+  );
+
+  // GET /comments?includeDeleted=true - fetch all comments (admin/moderator)
+  app.get(
+    "/comments",
+    verifyToken,
+    requirePermission("comments:read"),
+    async (req, res) => {
+      try {
+        const query =
+          req.query.includeDeleted === "true" ? {} : { deletedAt: null };
+        const comments = await commentsCollection
+          .find(query)
+          .sort({ createdAt: -1 }) // optional: newest first
+          .toArray();
+
+        res.json(comments);
+      } catch (error) {
+        throw createError(500, "Failed to fetch all comments", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // GET /comments/:postId?page=&limit=&sort=newest|oldest|popular - no auth required
+  // Pages over top-level comments; each carries its nested `replies` (oldest first).
+  app.get("/comments/:postId", optionalToken, async (req, res) => {
+    const postId = req.params.postId;
+
+    try {
+      const pagination = getPagination(req.query, 20);
+      const sorts = {
+        newest: { createdAt: -1, _id: -1 },
+        oldest: { createdAt: 1, _id: 1 },
+        popular: { score: -1, createdAt: -1, _id: -1 },
+      };
+      const sort = Object.hasOwn(sorts, req.query.sort)
+        ? sorts[req.query.sort]
+        : sorts.newest;
+
+      const query = {
+        postId,
+        parentId: null,
+        $or: [
+          { hidden: { $ne: true }, deletedAt: null },
+          { replyCount: { $gt: 0 } },
+        ],
+      };
+      const [roots, total] = await Promise.all([
+        commentsCollection
+          .find(query)
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        commentsCollection.countDocuments(query),
+      ]);
+
+      const replies = await commentsCollection
+        .find({ rootId: { $in: roots.map((root) => root._id) } })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray();
+
+      res.json(
+        paginated(
+          "comments",
+          buildCommentTree(
+            roots.map((root) => withVoteState(root, req.user?.email)),
+            replies.map((reply) => withVoteState(reply, req.user?.email))
+          ),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      throw createError(500, "Failed to fetch comments", { cause: error });
+    }
+  });
+
+  // PATCH /comments/:id - edit own comment within the edit window (protected)
+  app.patch(
+    "/comments/:id",
+    verifyToken,
+    validateBody(schemas.commentEdit),
+    async (req, res) => {
+      const commentId = req.params.id;
+      const { message } = req.body;
+
+      try {
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(commentId),
+        });
+
+        if (!comment || comment.deletedAt || comment.hidden) {
+          return sendError(res, 404, "Comment not found");
+        }
+
+        if (comment.email !== req.user.email) {
+          return sendError(
+            res,
+            403,
+            "Forbidden - Not allowed to edit this comment"
+          );
+        }
+
+        if (Date.now() - new Date(comment.createdAt) > COMMENT_EDIT_WINDOW_MS) {
+          return sendError(
+            res,
+            403,
+            "Forbidden - The edit window for this comment has closed",
+            { code: "EDIT_WINDOW_CLOSED" }
+          );
+        }
+
+        const editedAt = new Date();
+        await commentsCollection.updateOne(
+          { _id: comment._id },
+          { $set: { message, editedAt } }
+        );
+
+        publish([`post:${comment.postId}`], "comment.updated", {
+          postId: comment.postId,
+          commentId,
+          message,
+          editedAt,
+        });
+
+        res.json({ success: true, message: "Comment updated", editedAt });
+      } catch (error) {
+        throw createError(500, "Failed to edit comment", { cause: error });
+      }
+    }
+  );
+
+  // PATCH /comments/:id/vote - toggle an upvote/downvote on a comment (protected)
+  app.patch(
+    "/comments/:id/vote",
+    verifyToken,
+    rateLimit("votes"),
+    validateBody(schemas.vote),
+    async (req, res) => {
+      const { id } = req.params;
+      const { voteType } = req.body;
+      const userEmail = req.user.email;
+
+      try {
+        const comment = await commentsCollection.findOneAndUpdate(
+          {
+            _id: new ObjectId(id),
+            deletedAt: null,
+            hidden: { $ne: true },
+          },
+          voteUpdatePipeline(userEmail, voteType),
+          { returnDocument: "after" }
+        );
+        if (!comment) {
+          return sendError(res, 404, "Comment not found");
+        }
+
+        const { upVoteCount, downVoteCount, score, myVote } = withVoteState(
+          comment,
+          userEmail
+        );
+        publish([`post:${comment.postId}`], "comment.votes", {
+          postId: comment.postId,
+          commentId: id,
+          upVoteCount,
+          downVoteCount,
+          score,
+        });
+
+        res.json({ upVoteCount, downVoteCount, score, myVote });
+      } catch (err) {
+        throw createError(500, "Vote update failed", { cause: err });
+      }
+    }
+  );
+
+  // POST /comments/:id/report - report a comment (protected, once per user)
+  app.post(
+    "/comments/:id/report",
+    verifyToken,
+    rateLimit("comments:report"),
+    validateBody(schemas.report),
+    async (req, res) => {
+      const commentId = req.params.id;
+      const { reason, details = "" } = req.body;
+
+      try {
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(commentId),
+          deletedAt: null,
+        });
+
+        if (!comment) {
+          return sendError(res, 404, "Comment not found");
+        }
+
+        if (comment.email === req.user.email) {
+          return sendError(res, 400, "You cannot report your own comment");
+        }
+
+        const result = await reportsCollection.insertOne({
+          commentId: comment._id,
+          postId: comment.postId,
+          commentAuthorEmail: comment.email,
+          reporterEmail: req.user.email,
+          reason,
+          details,
+          status: "open",
+          createdAt: new Date(),
+        });
+
+        res.status(201).json({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        if (error.code === 11000) {
+          return sendError(res, 409, "You have already reported this comment");
+        }
+        throw createError(500, "Failed to report comment", { cause: error });
+      }
+    }
+  );
+
+  // GET /reported-comments?status=open|dismissed|actioned - moderation queue grouped by comment (admin/moderator)
+  app.get(
+    "/reported-comments",
+    verifyToken,
+    requirePermission("comments:moderate"),
+    async (req, res) => {
+      const status = req.query.status || "open";
+
+      if (!REPORT_STATUSES.includes(status)) {
+        return sendError(
+          res,
+          400,
+          `Status must be one of: ${REPORT_STATUSES.join(", ")}`
+        );
+      }
+
+      try {
+        const pagination = getPagination(req.query, 20);
+        const [result] = await reportsCollection
+          .aggregate([
+            { $match: { status } },
+            { $sort: { createdAt: 1 } },
+            {
+              $group: {
+                _id: "$commentId",
+                reports: {
+                  $push: {
+                    _id: "$_id",
+                    reporterEmail: "$reporterEmail",
+                    reason: "$reason",
+                    details: "$details",
+                    createdAt: "$createdAt",
+                    resolution: "$resolution",
+                  },
+                },
+                reportCount: { $sum: 1 },
+                firstReportedAt: { $min: "$createdAt" },
+              },
+            },
+            { $sort: { reportCount: -1, firstReportedAt: 1 } },
+            {
+              $facet: {
+                items: [
+                  { $skip: pagination.skip },
+                  { $limit: pagination.limit },
+                  {
+                    $lookup: {
+                      from: "comments",
+                      localField: "_id",
+                      foreignField: "_id",
+                      as: "comment",
+                    },
+                  },
+                  {
+                    $set: {
+                      commentId: "$_id",
+                      comment: { $first: "$comment" },
+                    },
+                  },
+                  { $unset: "_id" },
+                ],
+                total: [{ $count: "count" }],
+              },
+            },
+          ])
+          .toArray();
+
+        res.json(
+          paginated(
+            "reportedComments",
+            result.items,
+            result.total[0]?.count || 0,
+            pagination
+          )
+        );
+      } catch (error) {
+        throw createError(500, "Failed to fetch reported comments", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // PATCH /reported-comments/:commentId - resolve every open report on a comment (admin/moderator)
+  // action: "dismiss" keeps the comment, "hide" hides it, "delete" removes it.
+  // Hiding or deleting also warns the comment author.
+  app.patch(
+    "/reported-comments/:commentId",
+    verifyToken,
+    requirePermission("comments:moderate"),
+    validateBody(schemas.moderation),
+    async (req, res) => {
+      const { commentId } = req.params;
+      const { action, note = "" } = req.body;
+
+      try {
+        const _id = new ObjectId(commentId);
+        const openReports = await reportsCollection
+          .find({ commentId: _id, status: "open" })
+          .toArray();
+
+        if (openReports.length === 0) {
+          return sendError(res, 404, "No open reports for this comment");
+        }
+
+        const comment = await commentsCollection.findOne({ _id });
+        const moderatorEmail = req.user.email;
+        const now = new Date();
+
+        if (comment && action === "hide") {
+          const hidden = await commentsCollection.findOneAndUpdate(
+            { _id, hidden: { $ne: true } },
+            {
+              $set: { hidden: true, hiddenAt: now, hiddenBy: moderatorEmail },
+            }
+          );
+          if (hidden && isVisible(hidden) && !(hidden.replyCount > 0)) {
+            await updateReplyCounts(hidden, -1);
+          }
+          publish([`post:${comment.postId}`], "comment.removed", {
+            postId: comment.postId,
+            commentId,
+          });
+        } else if (comment && action === "delete") {
+          await removeComment(comment, moderatorEmail);
+        }
+
+        const warned = comment && action !== "dismiss";
+        if (warned) {
+          await usersCollection.updateOne(
+            { email: comment.email },
+            {
+              $push: {
+                warnings: {
+                  commentId: _id,
+                  reasons: [...new Set(openReports.map((r) => r.reason))],
+                  action,
+                  note,
+                  moderatorEmail,
+                  createdAt: now,
+                },
+              },
+              $inc: { warningCount: 1 },
+            }
+          );
+        }
+
+        const status = action === "dismiss" ? "dismissed" : "actioned";
+        await reportsCollection.updateMany(
+          { commentId: _id, status: "open" },
+          {
+            $set: {
+              status,
+              resolution: { action, note, moderatorEmail, resolvedAt: now },
+            },
+          }
+        );
+
+        await moderationLogsCollection.insertOne({
+          moderatorEmail,
+          action,
+          note,
+          commentId: _id,
+          postId: comment?.postId ?? openReports[0].postId,
+          targetEmail: comment?.email ?? openReports[0].commentAuthorEmail,
+          commentMessage: comment?.message,
+          reportIds: openReports.map((r) => r._id),
+          authorWarned: Boolean(warned),
+          createdAt: now,
+        });
+
+        res.json({
+          success: true,
+          message: `Reports ${status}`,
+          resolvedReports: openReports.length,
+        });
+      } catch (error) {
+        throw createError(500, "Failed to resolve reports", { cause: error });
+      }
+    }
+  );
+
+  // GET /moderation-logs - record of moderator actions, newest first (admin/moderator)
+  app.get(
+    "/moderation-logs",
+    verifyToken,
+    requirePermission("comments:moderate"),
+    async (req, res) => {
+      try {
+        const pagination = getPagination(req.query, 20);
+        const query = req.query.moderator
+          ? { moderatorEmail: req.query.moderator }
+          : {};
+
+        const [logs, total] = await Promise.all([
+          moderationLogsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .toArray(),
+          moderationLogsCollection.countDocuments(query),
+        ]);
+
+        res.json(paginated("logs", logs, total, pagination));
+      } catch (error) {
+        throw createError(500, "Failed to fetch moderation logs", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // DELETE /comments/:id - delete comment by ID (protected)
+  app.delete("/comments/:id", verifyToken, async (req, res) => {
+    const commentId = req.params.id;
+
+    try {
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        deletedAt: null,
+      });
+
+      if (!comment) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      // Only allow comment owner OR admin/moderator to delete
+      const isOwner = req.user.email === comment.email;
+      const canModerate = hasPermission(await loadUser(req), "comments:delete");
+
+      if (!isOwner && !canModerate) {
+        return sendError(
+          res,
+          403,
+          "Forbidden - Not allowed to delete this comment"
+        );
+      }
+
+      const removed = await removeComment(comment, req.user.email);
+
+      if (removed) {
+        res.send({ success: true, message: "Comment deleted successfully" });
+      } else {
+        sendError(res, 404, "Comment not found");
+      }
+    } catch (error) {
+      throw createError(500, "Failed to delete comment", { cause: error });
+    }
+  });
+
+  // PATCH /comments/:id/restore - undo a comment deletion (admin only)
+  app.patch(
+    "/comments/:id/restore",
+    verifyToken,
+    requirePermission("comments:restore"),
+    async (req, res) => {
+      try {
+        const comment = await commentsCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), deletedAt: { $ne: null } },
+          { $unset: { deletedAt: "", deletedBy: "", deletedWithPost: "" } }
+        );
+        if (!comment) {
+          return sendError(res, 404, "Deleted comment not found");
+        }
+        // Comments deleted along with their post never left the counts
+        if (
+          !comment.hidden &&
+          !comment.deletedWithPost &&
+          !(comment.replyCount > 0)
+        ) {
+          await updateReplyCounts(comment, 1);
+        }
+
+        publish([`post:${comment.postId}`], "comment.restored", {
+          postId: comment.postId,
+          commentId: comment._id,
+        });
+        res.json({ success: true, message: "Comment restored" });
+      } catch (error) {
+        throw createError(500, "Failed to restore comment", { cause: error });
+      }
+    }
+  );
+
+  // GET /admin/trash?type=posts|comments&page=&limit= - soft-deleted content, newest first (admin only)
+  app.get(
+    "/admin/trash",
+    verifyToken,
+    requirePermission("trash:read"),
+    async (req, res) => {
+      const type = req.query.type || "posts";
+      const trashCollections = {
+        posts: postsCollection,
+        comments: commentsCollection,
+      };
+
+      if (!trashCollections[type]) {
+        return sendError(res, 400, 'type must be "posts" or "comments"');
+      }
+
+      try {
+        const pagination = getPagination(req.query, 20);
+        const query = { deletedAt: { $ne: null } };
+        const [items, total] = await Promise.all([
+          trashCollections[type]
+            .find(query)
+            .sort({ deletedAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .toArray(),
+          trashCollections[type].countDocuments(query),
+        ]);
+
+        res.json(
+          paginated(
+            type,
+            items.map((item) => withPictureUrls(req, item)),
+            total,
+            pagination
+          )
+        );
+      } catch (error) {
+        throw createError(500, "Failed to fetch deleted content", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // PATCH /users/status - ban, suspend or reinstate a user (admin only)
+  app.patch(
+    "/users/status",
+    verifyToken,
+    requirePermission("users:manage"),
+    validateBody(schemas.accountStatus),
+    async (req, res) => {
+      const { email, status, until, reason } = req.body;
+
+      if (email === req.user.email) {
+        return sendError(res, 400, "You cannot change your own account status");
+      }
+
+      const update = { status, statusReason: reason || null };
+      if (status === "suspended") {
+        const suspendedUntil = new Date(until);
+        if (!until || isNaN(suspendedUntil) || suspendedUntil <= new Date()) {
+          return sendError(res, 400, "Suspensions need a future `until` date");
+        }
+        update.suspendedUntil = suspendedUntil;
+      } else {
+        update.suspendedUntil = null;
+      }
+
+      try {
+        const result = await usersCollection.updateOne(
+          { email },
+          {
+            $set: {
+              ...update,
+              statusChangedAt: new Date(),
+              statusChangedBy: req.user.email,
+            },
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, "User not found");
+        }
+
+        res.json({ success: true, message: `User is now ${status}` });
+      } catch (error) {
+        throw createError(500, "Failed to update account status", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // PATCH /users/admin - change a user's role (admin only)
+  app.patch(
+    "/users/admin",
+    verifyToken,
+    requirePermission("users:manage"),
+    validateBody(schemas.userRole),
+    async (req, res) => {
+      const { email, role } = req.body;
+
+      try {
+        // 1. Check if target user exists
+        const user = await usersCollection.findOne({ email });
+
+        if (!user) {
+          return sendError(res, 404, "User not found");
+        }
+
+        // 2. Avoid redundant updates
+        if (user.role === role) {
+          return sendError(res, 400, `User already has role "${role}"`);
+        }
+
+        // 3. Update the user role
+        const result = await usersCollection.updateOne(
+          { email },
+          { $set: { role } }
+        );
+
+        if (result.modifiedCount > 0) {
+          res.json({
+            success: true,
+            message: `User role updated to "${role}"`,
+          });
+        } else {
+          sendError(res, 500, "Failed to update user role");
+        }
+      } catch (error) {
+        throw createError(500, "Internal server error", { cause: error });
+      }
+    }
+  );
+
+  // POST /create-payment-intent - start a membership payment (protected)
+  // The price comes from the membership config, never from the client
+  app.post(
+    "/create-payment-intent",
+    verifyToken,
+    rateLimit("payments"),
+    async (req, res) => {
+      try {
+        const { price, currency } = await getMembershipConfig();
+        const amount = Math.round(price * 100); // Stripe expects the amount in cents
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount,
+          currency,
+          payment_method_types: ["card"],
+          metadata: { email: req.user.email },
+        });
+
+        await paymentsCollection.insertOne({
+          paymentIntentId: paymentIntent.id,
+          email: req.user.email,
+          amount,
+          currency: paymentIntent.currency,
+          status: paymentIntent.status,
+          history: [{ status: paymentIntent.status, at: new Date() }],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+
+        res.send({ clientSecret: paymentIntent.client_secret });
+      } catch (error) {
+        throw createError(500, "Payment intent creation failed", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // Record a Stripe event against the matching payment document. Stripe
+  // retries deliveries, so an event already in the history is skipped and
+  // resolves null.
+  const recordPaymentEvent = async (
+    paymentIntentId,
+    status,
+    event,
+    extra,
+    retried = false
+  ) => {
+    const now = new Date();
+    try {
+      return await paymentsCollection.findOneAndUpdate(
+        { paymentIntentId, "history.eventId": { $ne: event.id } },
+        {
+          $set: { status, updatedAt: now, ...extra },
+          $push: { history: { status, eventId: event.id, at: now } },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+    } catch (error) {
+      // When the payment already has this event the filter misses and the
+      // upsert hits payments_intent_unique. The same happens when two first
+      // events for a payment race on the insert; the retry tells them apart.
+      if (error.code !== 11000) throw error;
+      if (retried) return null;
+      return recordPaymentEvent(paymentIntentId, status, event, extra, true);
+    }
+  };
+
+  // POST /webhooks/stripe - Stripe payment events (verified by signature)
+  app.post("/webhooks/stripe", async (req, res) => {
+    const signature = req.headers["stripe-signature"];
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        signature,
+        stripeWebhookSecret
+      );
+    } catch (err) {
+      req.log.warn("Stripe webhook signature check failed", {
+        err: err.message,
+      });
+      return sendError(res, 400, "Invalid Stripe signature", {
+        code: "INVALID_SIGNATURE",
+      });
+    }
+
+    try {
+      switch (event.type) {
+        case "payment_intent.succeeded": {
+          const intent = event.data.object;
+          const email = intent.metadata?.email;
+          const payment = await recordPaymentEvent(
+            intent.id,
+            "succeeded",
+            event,
+            {
+              email,
+              amount: intent.amount_received ?? intent.amount,
+              currency: intent.currency,
+            }
+          );
+          if (payment && email) {
+            await usersCollection.updateOne(
+              { email },
+              { $set: { paymentStatus: "paid", paidAt: new Date() } }
+            );
+          }
+          break;
+        }
+
+        case "payment_intent.payment_failed": {
+          const intent = event.data.object;
+          await recordPaymentEvent(intent.id, "failed", event, {
+            email: intent.metadata?.email,
+            failureMessage: intent.last_payment_error?.message || null,
+          });
+          break;
+        }
+
+        case "charge.refunded": {
+          // Sent for partial refunds too; only a full refund ends the membership
+          const charge = event.data.object;
+          const fullRefund =
+            charge.refunded === true ||
+            charge.amount_refunded === charge.amount;
+          const payment = await recordPaymentEvent(
+            charge.payment_intent,
+            fullRefund ? "refunded" : "partially_refunded",
+            event,
+            { amountRefunded: charge.amount_refunded }
+          );
+          const email = payment?.email || charge.metadata?.email;
+          if (payment && fullRefund && email) {
+            await usersCollection.updateOne(
+              { email },
+              { $set: { paymentStatus: "unpaid" } }
+            );
+          }
+          break;
+        }
+
+        default:
+          // Other event types are acknowledged but ignored
+          break;
+      }
+
+      res.json({ received: true });
+    } catch (error) {
+      throw createError(500, "Webhook handling failed", { cause: error });
+    }
+  });
+
+  // PATCH /users/payment-status - manually override a user's payment status (admin only)
+  app.patch(
+    "/users/payment-status",
+    verifyToken,
+    requirePermission("payments:manage"),
+    validateBody(schemas.paymentStatus),
+    async (req, res) => {
+      const { email, paymentStatus = "paid" } = req.body;
+
+      try {
+        const result = await usersCollection.updateOne(
+          { email },
+          { $set: { paymentStatus } }
+        );
+
+        if (result.modifiedCount > 0) {
+          res.json({
+            success: true,
+            message: `Payment status updated to ${paymentStatus}`,
+          });
+        } else {
+          sendError(res, 404, `User not found or already ${paymentStatus}`);
+        }
+      } catch (error) {
+        throw createError(500, "Failed to update payment status", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // GET /announcements?includeAll=true - visible announcements, pinned and high priority first - no auth required
+  // Signed-in callers also see paid/admin-only announcements they qualify for and a `read` flag.
+  // Admins can pass includeAll=true to list scheduled and expired ones too.
+  app.get("/announcements", optionalToken, async (req, res) => {
+    try {
+      const user = req.user ? await loadUser(req) : null;
+      const query =
+        req.query.includeAll === "true" &&
+        hasPermission(user, "announcements:manage")
+          ? {}
+          : visibleAnnouncementsQuery(user);
+
+      const announcements = await announcementsCollection
+        .find(query)
+        .sort(announcementSort)
+        .toArray();
+
+      if (!user) {
+        return res.json(
+          announcements.map((announcement) =>
+            withPictureUrls(req, announcement)
+          )
+        );
+      }
+
+      const reads = await announcementReadsCollection
+        .find(
+          {
+            email: user.email,
+            announcementId: { $in: announcements.map(({ _id }) => _id) },
+          },
+          { projection: { announcementId: 1 } }
+        )
+        .toArray();
+      const readIds = new Set(reads.map((r) => String(r.announcementId)));
+
+      res.json(
+        announcements.map((announcement) => ({
+          ...withPictureUrls(req, announcement),
+          read: readIds.has(String(announcement._id)),
+        }))
+      );
+    } catch (err) {
+      throw createError(500, "Failed to fetch announcements", { cause: err });
+    }
+  });
+
+  // GET /announcements/unread-count - visible announcements the caller hasn't read (protected)
+  app.get("/announcements/unread-count", verifyToken, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      const visible = await announcementsCollection
+        .find(visibleAnnouncementsQuery(user), { projection: { _id: 1 } })
+        .toArray();
+      const read = await announcementReadsCollection.countDocuments({
+        email: req.user.email,
+        announcementId: { $in: visible.map(({ _id }) => _id) },
+      });
+
+      res.json({ unreadCount: visible.length - read });
+    } catch (err) {
+      throw createError(500, "Failed to count unread announcements", {
+        cause: err,
+      });
+    }
+  });
+
+  // POST /announcements/read-all - mark every visible announcement read (protected)
+  app.post("/announcements/read-all", verifyToken, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      const visible = await announcementsCollection
+        .find(visibleAnnouncementsQuery(user), { projection: { _id: 1 } })
+        .toArray();
+
+      if (visible.length > 0) {
+        const readAt = new Date();
+        await announcementReadsCollection.bulkWrite(
+          visible.map(({ _id }) => ({
+            updateOne: {
+              filter: { email: req.user.email, announcementId: _id },
+              update: { $setOnInsert: { readAt } },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+      }
+
+      res.json({ success: true, unreadCount: 0 });
+    } catch (err) {
+      throw createError(500, "Failed to mark announcements read", {
+        cause: err,
+      });
+    }
+  });
+
+  // POST /announcements/:id/read - mark one announcement read (protected)
+  app.post("/announcements/:id/read", verifyToken, async (req, res) => {
+    try {
+      const announcementId = new ObjectId(req.params.id);
+      const announcement = await announcementsCollection.findOne(
+        { _id: announcementId },
+        { projection: { _id: 1 } }
+      );
+      if (!announcement) {
+        return sendError(res, 404, "Announcement not found");
+      }
+
+      await announcementReadsCollection.updateOne(
+        { email: req.user.email, announcementId },
+        { $setOnInsert: { readAt: new Date() } },
+        { upsert: true }
+      );
+      res.json({ success: true, read: true });
+    } catch (err) {
+      // Concurrent marks can race on the unique index - already read
+      if (err.code === 11000) return res.json({ success: true, read: true });
+      throw createError(500, "Failed to mark announcement read", {
+        cause: err,
+      });
+    }
+  });
+
+  // POST /announcements - create announcement (protected, admin only)
+  app.post(
+    "/announcements",
+    verifyToken,
+    requirePermission("announcements:manage"),
+    validateBody(schemas.announcement),
+    async (req, res) => {
+      const { title, message, publishAt, expiresAt, ...options } = req.body;
+      const publishDate = publishAt ? new Date(publishAt) : new Date();
+      const expiryDate = expiresAt ? new Date(expiresAt) : null;
+
+      if (expiryDate && expiryDate <= publishDate) {
+        return sendError(res, 400, "expiresAt must be after publishAt");
+      }
+
+      try {
+        const user = req.dbUser;
+        const announcement = {
+          title,
+          message,
+          pinned: options.pinned || false,
+          priority: options.priority || 0,
+          audience: options.audience || "all",
+          publishAt: publishDate,
+          expiresAt: expiryDate,
+          notifiedAt: null,
+          notifyingAt: null,
+          notifiedThrough: null,
+          postedAt: new Date().toISOString(),
+          author: {
+            name: user.name || "Anonymous",
+            email: user.email,
+            image: pictureOf(req),
+            role: "Admin",
+          },
+        };
+
+        const result = await announcementsCollection.insertOne(announcement);
+
+        res.status(201).json({
+          success: true,
+          message: "Announcement created",
+          insertedId: result.insertedId,
+        });
+      } catch (err) {
+        throw createError(500, "Failed to create announcement", { cause: err });
+      }
+    }
+  );
+
+  // PATCH /announcements/:id - edit an announcement or its schedule (admin only)
+  app.patch(
+    "/announcements/:id",
+    verifyToken,
+    requirePermission("announcements:manage"),
+    validateBody(schemas.announcement, { partial: true }),
+    async (req, res) => {
+      const changes = { ...req.body };
+      if (Object.keys(changes).length === 0) {
+        return sendError(res, 400, "Nothing to update");
+      }
+      if (changes.publishAt) changes.publishAt = new Date(changes.publishAt);
+      if (changes.expiresAt) changes.expiresAt = new Date(changes.expiresAt);
+
+      try {
+        const _id = new ObjectId(req.params.id);
+        const current = await announcementsCollection.findOne({ _id });
+        if (!current) {
+          return sendError(res, 404, "Announcement not found");
+        }
+
+        const publishDate = changes.publishAt || current.publishAt;
+        const expiryDate =
+          changes.expiresAt !== undefined
+            ? changes.expiresAt
+            : current.expiresAt;
+        if (publishDate && expiryDate && expiryDate <= publishDate) {
+          return sendError(res, 400, "expiresAt must be after publishAt");
+        }
+
+        await announcementsCollection.updateOne(
+          { _id },
+          { $set: { ...changes, updatedAt: new Date() } }
+        );
+
+        res.json({ success: true, message: "Announcement updated" });
+      } catch (error) {
+        throw createError(500, "Failed to update announcement", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // DELETE /announcements/:id - admin only
+  app.delete(
+    "/announcements/:id",
+    verifyToken,
+    requirePermission("announcements:manage"),
+    async (req, res) => {
+      const id = req.params.id;
+
+      try {
+        const result = await announcementsCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+
+        if (result.deletedCount === 1) {
+          await announcementReadsCollection.deleteMany({
+            announcementId: new ObjectId(id),
+          });
+          res.json({ success: true, message: "Announcement deleted" });
+        } else {
+          sendError(res, 404, "Announcement not found");
+        }
+      } catch (error) {
+        throw createError(500, "Internal server error", { cause: error });
+      }
+    }
+  );
+
+  // GET /admin/stats results by date range. Each app has its own cache, and
+  // expired entries are dropped whenever it is read or written.
+  const statsCache = new Map();
+  const dropExpiredStats = () => {
+    const now = Date.now();
+    for (const [key, entry] of statsCache) {
+      if (entry.expiresAt <= now) statsCache.delete(key);
+    }
+  };
+
+  // GET /admin/stats?days=30 (or ?from=&to=) - dashboard numbers (admin only)
+  app.get(
+    "/admin/stats",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      const days = Math.min(
+        Math.max(parseInt(req.query.days, 10) || 30, 1),
+        365
+      );
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      // A date-only `to` (?to=2024-01-31) includes that whole day
+      if (DATE_ONLY.test(req.query.to)) to.setUTCHours(23, 59, 59, 999);
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from) || isNaN(to) || from > to) {
+        return sendError(res, 400, "Invalid date range");
+      }
+
+      // Ranges ending now are keyed by their length rather than by the
+      // current time, so repeated dashboard loads hit the cache
+      const cacheKey = [
+        req.query.from ? from.toISOString() : `${days}d`,
+        req.query.to ? to.toISOString() : "now",
+      ].join(":");
+      dropExpiredStats();
+      const cached = statsCache.get(cacheKey);
+      if (cached) {
+        return res.json({ ...cached.stats, cached: true });
+      }
+
+      try {
+        const [users, tags, comments, postStats, paymentStats] =
+          await Promise.all([
+            usersCollection.estimatedDocumentCount(),
+            tagsCollection.estimatedDocumentCount(),
+            commentsCollection.countDocuments({ deletedAt: null }),
+            postsCollection
+              .aggregate([
+                { $match: { deletedAt: null } },
+                {
+                  $facet: {
+                    total: [{ $count: "count" }],
+                    postsPerDay: [
+                      {
+                        $match: {
+                          timeOfPost: {
+                            $gte: from.toISOString(),
+                            $lte: to.toISOString(),
+                          },
+                        },
+                      },
+                      {
+                        $group: {
+                          _id: { $substrBytes: ["$timeOfPost", 0, 10] },
+                          count: { $sum: 1 },
+                        },
+                      },
+                      { $sort: { _id: 1 } },
+                      { $project: { _id: 0, date: "$_id", count: 1 } },
+                    ],
+                    topTags: [
+                      { $match: { tag: { $exists: true, $ne: "" } } },
+                      { $group: { _id: "$tag", posts: { $sum: 1 } } },
+                      { $sort: { posts: -1, _id: 1 } },
+                      { $limit: 10 },
+                      { $project: { _id: 0, tag: "$_id", posts: 1 } },
+                    ],
+                    mostActiveAuthors: [
+                      {
+                        $group: {
+                          _id: "$authorEmail",
+                          name: { $last: "$author" },
+                          posts: { $sum: 1 },
+                          score: { $sum: { $ifNull: ["$score", 0] } },
+                        },
+                      },
+                      { $sort: { posts: -1, score: -1 } },
+                      { $limit: 10 },
+                      {
+                        $project: {
+                          _id: 0,
+                          email: "$_id",
+                          name: 1,
+                          posts: 1,
+                          score: 1,
+                        },
+                      },
+                    ],
+                  },
+                },
+              ])
+              .toArray(),
+            usersCollection
+              .aggregate([
+                { $group: { _id: "$paymentStatus", count: { $sum: 1 } } },
+              ])
+              .toArray(),
+          ]);
+
+        const [{ total, postsPerDay, topTags, mostActiveAuthors }] = postStats;
+        const paid =
+          paymentStats.find((group) => group._id === "paid")?.count || 0;
+
+        const stats = {
+          counts: {
+            users,
+            posts: total[0]?.count || 0,
+            comments,
+            tags,
+          },
+          payments: { paid, unpaid: users - paid },
+          range: { from, to },
+          postsPerDay,
+          topTags,
+          mostActiveAuthors,
+          generatedAt: new Date(),
+        };
+
+        dropExpiredStats();
+        statsCache.set(cacheKey, {
+          stats,
+          expiresAt: Date.now() + STATS_CACHE_TTL_MS,
+        });
+        res.json({ ...stats, cached: false });
+      } catch (error) {
+        throw createError(500, "Failed to build admin stats", { cause: error });
+      }
+    }
+  );
+
+  // GET /stream - live feed events: new/updated/deleted posts and vote counts (protected)
+  app.get("/stream", verifyStreamToken, (req, res) => {
+    openEventStream(eventBus, openStreams, req, res, "posts");
+  });
+
+  // GET /stream/posts/:id - live events for one post: comments, votes and edits (protected)
+  app.get("/stream/posts/:id", verifyStreamToken, (req, res) => {
+    openEventStream(eventBus, openStreams, req, res, `post:${req.params.id}`);
+  });
+
+  // GET /notifications?unread=true&page=&limit= - the caller's notifications, newest first (protected)
+  app.get("/notifications", verifyToken, async (req, res) => {
+    try {
+      const recipientEmail = req.user.email;
+      const pagination = getPagination(req.query, 20);
+      const query = { recipientEmail };
+      if (req.query.unread === "true") query.read = false;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        notificationsCollection
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        notificationsCollection.countDocuments(query),
+        notificationsCollection.countDocuments({
+          recipientEmail,
+          read: false,
+        }),
+      ]);
+
+      res.json({
+        ...paginated("notifications", notifications, total, pagination),
+        unreadCount,
+      });
+    } catch (error) {
+      throw createError(500, "Failed to fetch notifications", { cause: error });
+    }
+  });
+
+  // PATCH /notifications/read-all - mark every notification read (protected)
+  app.patch("/notifications/read-all", verifyToken, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { recipientEmail: req.user.email, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+
+      res.json({ success: true, updated: result.modifiedCount });
+    } catch (error) {
+      throw createError(500, "Failed to mark notifications read", {
+        cause: error,
+      });
+    }
+  });
+
+  // PATCH /notifications/:id/read - mark one notification read (protected)
+  app.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateOne(
+        { _id: new ObjectId(req.params.id), recipientEmail: req.user.email },
+        { $set: { read: true, readAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendError(res, 404, "Notification not found");
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      throw createError(500, "Failed to mark notification read", {
+        cause: error,
+      });
+    }
+  });
+
+  // GET /notifications/preferences - which event types the caller receives (protected)
+  app.get("/notifications/preferences", verifyToken, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      res.json(
+        Object.fromEntries(
+          NOTIFICATION_TYPES.map((type) => [
+            type,
+            user.notificationPreferences?.[type] !== false,
+          ])
+        )
+      );
+    } catch (error) {
+      throw createError(500, "Failed to fetch notification preferences", {
+        cause: error,
+      });
+    }
+  });
+
+  // PATCH /notifications/preferences - turn event types on or off (protected)
+  app.patch(
+    "/notifications/preferences",
+    verifyToken,
+    validateBody(schemas.notificationPreferences, { partial: true }),
+    async (req, res) => {
+      const update = {};
+      for (const [type, enabled] of Object.entries(req.body)) {
+        update[`notificationPreferences.${type}`] = enabled;
+      }
+
+      if (Object.keys(update).length === 0) {
+        return sendError(res, 400, "Nothing to update");
+      }
+
+      try {
+        const user = await usersCollection.findOneAndUpdate(
+          { email: req.user.email },
+          { $set: update },
+          { returnDocument: "after" }
+        );
+        if (!user) {
+          return sendError(res, 404, "User not found");
+        }
+
+        res.json({
+          success: true,
+          preferences: Object.fromEntries(
+            NOTIFICATION_TYPES.map((type) => [
+              type,
+              user.notificationPreferences?.[type] !== false,
+            ])
+          ),
+        });
+      } catch (error) {
+        throw createError(500, "Failed to update notification preferences", {
+          cause: error,
+        });
+      }
+    }
+  );
+
+  // POST /assets - upload a file as multipart "file", with an optional
+  // "purpose" field (protected). Avatars must be images and get thumbnails.
+  app.post(
+    "/assets",
+    verifyToken,
+    rateLimit("uploads"),
+    receiveFile,
+    validateBody(schemas.upload),
+    async (req, res) => {
+      const file = req.file;
+      const purpose = req.body.purpose || "attachment";
+
+      if (!file) {
+        return sendError(res, 400, 'A file is required in the "file" field');
+      }
+
+      // Trust the file's bytes, not the name or Content-Type the client sent
+      const contentType = detectType(file.buffer);
+      if (!contentType || contentType !== file.mimetype) {
+        return sendError(res, 415, "Unsupported file type", {
+          details: { allowed: Object.keys(FILE_TYPES) },
+        });
+      }
+      const { extension, image } = FILE_TYPES[contentType];
+      if (purpose === "avatar" && !image) {
+        return sendError(res, 415, "Avatars must be images", {
+          details: {
+            allowed: Object.keys(FILE_TYPES).filter(
+              (type) => FILE_TYPES[type].image
+            ),
+          },
+        });
+      }
+
+      let dimensions = {};
+      let thumbnails = [];
+      if (image) {
+        try {
+          dimensions = await readImageSize(file.buffer);
+          if (purpose === "avatar") {
+            thumbnails = await createThumbnails(file.buffer);
+          }
+        } catch (err) {
+          return sendError(res, 415, "The image could not be read");
+        }
+      }
+
+      try {
+        const _id = new ObjectId();
+        const asset = {
+          _id,
+          ownerEmail: req.user.email,
+          purpose,
+          contentType,
+          size: file.size,
+          ...dimensions,
+          key: `${_id}/original.${extension}`,
+          thumbnails: thumbnails.map(({ size, contentType }) => ({
+            size,
+            contentType,
+            key: `${_id}/thumbnail-${size}.webp`,
+          })),
+          createdAt: new Date(),
+        };
+
+        try {
+          await storage.put(asset.key, file.buffer, contentType);
+          await Promise.all(
+            thumbnails.map((thumbnail, i) =>
+              storage.put(
+                asset.thumbnails[i].key,
+                thumbnail.buffer,
+                thumbnail.contentType
+              )
+            )
+          );
+          await assetsCollection.insertOne(asset);
+        } catch (error) {
+          // Don't leave files behind that no asset document points to
+          await removeStoredFiles(req, assetKeys(asset));
+          throw error;
+        }
+
+        res.status(201).json({
+          success: true,
+          asset: toAssetResponse(req, asset),
+        });
+      } catch (error) {
+        throw createError(500, "Failed to store upload", { cause: error });
+      }
+    }
+  );
+
+  // DELETE /assets/:id - delete one of your uploads and drop it from your posts, comments and profile (protected)
+  app.delete("/assets/:id", verifyToken, async (req, res) => {
+    try {
+      const asset = await assetsCollection.findOneAndDelete({
+        _id: new ObjectId(req.params.id),
+        ownerEmail: req.user.email,
+      });
+      if (!asset) return sendError(res, 404, "Asset not found");
+
+      // Only the owner's own posts and comments can reference the asset
+      // (see resolveAttachments)
+      const email = req.user.email;
+      await Promise.all([
+        postsCollection.updateMany(
+          { authorEmail: email, attachments: asset._id },
+          { $pull: { attachments: asset._id } }
+        ),
+        commentsCollection.updateMany(
+          { email, attachments: asset._id },
+          { $pull: { attachments: asset._id } }
+        ),
+        usersCollection.updateOne(
+          { email, avatarId: asset._id },
+          { $set: { avatarId: null, photoURL: DEFAULT_AVATAR_PATH } }
+        ),
+      ]);
+      await removeStoredFiles(req, assetKeys(asset));
+
+      res.json({ success: true, message: "Asset deleted" });
+    } catch (error) {
+      throw createError(500, "Failed to delete asset", { cause: error });
+    }
+  });
+
+  // Stream a stored file. Asset files never change, so they cache forever.
+  const sendStoredFile = async (req, res, key, contentType) => {
+    const stream = await storage.get(key);
+    if (!stream) return sendError(res, 404, "File not found");
+
+    res.set({
+      "Content-Type": contentType,
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+    });
+    try {
+      await pipeline(stream, res);
+    } catch (err) {
+      // Usually the client went away mid-download
+      req.log.warn("Error streaming file", { key, err });
+    }
+  };
+
+  // GET /assets/:id - an uploaded file - no auth required
+  app.get("/assets/:id", async (req, res) => {
+    try {
+      const asset = await assetsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!asset) return sendError(res, 404, "Asset not found");
+
+      await sendStoredFile(req, res, asset.key, asset.contentType);
+    } catch (error) {
+      throw createError(500, "Failed to fetch asset", { cause: error });
+    }
+  });
+
+  // GET /assets/:id/thumbnails/:size - an avatar thumbnail (64 or 256) - no auth required
+  app.get("/assets/:id/thumbnails/:size", async (req, res) => {
+    try {
+      const asset = await assetsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      const thumbnail = asset?.thumbnails?.find(
+        ({ size }) => String(size) === req.params.size
+      );
+      if (!thumbnail) return sendError(res, 404, "Thumbnail not found");
+
+      await sendStoredFile(req, res, thumbnail.key, thumbnail.contentType);
+    } catch (error) {
+      throw createError(500, "Failed to fetch thumbnail", { cause: error });
+    }
+  });
+
+  // GET /defaults/avatar.svg - picture for users without one - no auth required
+  app.get(DEFAULT_AVATAR_PATH, (req, res) => {
+    res.sendFile(path.join(__dirname, "public", "default-avatar.svg"), {
+      maxAge: "1d",
+    });
+  });
+
+  // GET /openapi.json - OpenAPI 3 description of every route - no auth required
+  const openApiSpec = createOpenApiSpec(schemas);
+  app.get("/openapi.json", (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  // GET /docs - interactive API docs for /openapi.json - no auth required
+  app.get("/docs", (req, res) => {
+    res.type("html").send(docsPage);
+  });
+
+  // Run every readiness check; name -> "ok" or "failed"
+  const runReadinessChecks = async (req) => {
+    const checks = {};
+    await Promise.all(
+      Object.entries(readinessChecks).map(async ([name, check]) => {
+        try {
+          checks[name] = (await withTimeout(check(), READINESS_TIMEOUT_MS))
+            ? "ok"
+            : "failed";
+        } catch (err) {
+          req.log.warn("Readiness check failed", { check: name, err });
+          checks[name] = "failed";
+        }
+      })
+    );
+    return checks;
+  };
+
+  // GET /healthz - liveness: the process is up, plus the dependency checks
+  // for information - no auth required. Always 200 while the process can
+  // answer: a liveness failure gets the instance restarted, which doesn't
+  // help when MongoDB or a key is the problem. GET /readyz is the one that
+  // turns failed checks into a 503.
+  app.get("/healthz", async (req, res) => {
+    const checks = await runReadinessChecks(req);
+    res.json({
+      status: Object.values(checks).includes("failed") ? "degraded" : "ok",
+      uptime: process.uptime(),
+      checks,
+    });
+  });
+
+  // GET /readyz - readiness: every dependency check passes - no auth required
+  app.get("/readyz", async (req, res) => {
+    if (app.locals.shuttingDown) {
+      return sendError(res, 503, "Server is shutting down", {
+        code: "SHUTTING_DOWN",
+      });
+    }
+
+    const checks = await runReadinessChecks(req);
+    if (Object.values(checks).includes("failed")) {
+      return sendError(res, 503, "Service not ready", {
+        code: "NOT_READY",
+        details: { checks },
+      });
+    }
+    res.json({ status: "ready", checks });
+  });
+
+  // GET /jobs/announcements - send due announcement notifications (Vercel Cron; cron secret required)
+  app.get("/jobs/announcements", verifyCronSecret, async (req, res) => {
+    try {
+      const sent = await notifyDueAnnouncements(collections);
+      res.json({ success: true, sent });
+    } catch (error) {
+      throw createError(500, "Failed to send announcement notifications", {
+        cause: error,
+      });
+    }
+  });
+
+  app.get("/", (req, res) => {
+    res.send("Hello Tonoy!.... Your server ready");
+  });
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  getCollections,
+  ensureIndexes,
+  runMigrations,
+  notifyDueAnnouncements,
+};
@@ -0,0 +1,78 @@
+// Every error response uses the same envelope:
+//
+//   { "code": "NOT_FOUND", "message": "Post not found", "details": null,
+//     "requestId": "0f0c..." }
+//
+// - code: stable, machine-readable; defaults to the status's ERROR_CODES entry
+// - message: human-readable description
+// - details: extra data such as validation errors or a quota, otherwise null
+// - requestId: same value as the X-Request-Id header and the server logs
+
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+// Send an error envelope with `status`
+const sendError = (res, status, message, { code, details = null } = {}) =>
+  res.status(status).json({
+    code: code || ERROR_CODES[status] || "ERROR",
+    message,
+    details,
+    requestId: res.req.id ?? null,
+  });
+
+/**
+ * Build an error for the central handler. Handlers throw these from their
+ * catch blocks with the underlying error as `cause`; the handler logs the
+ * cause and answers with `status` and `message`.
+ */
+const createError = (status, message, { code, details, cause } = {}) => {
+  const error = new Error(message, { cause });
+  error.status = status;
+  error.expose = true;
+  error.errorCode = code;
+  error.details = details;
+  return error;
+};
+
+// Fallback for requests that matched no route
+const notFoundHandler = (req, res) =>
+  sendError(res, 404, `Route not found: ${req.method} ${req.path}`, {
+    code: "ROUTE_NOT_FOUND",
+  });
+
+// Central error handler: log server errors and answer with the envelope.
+// Only errors marked `expose` (ours and body-parser's) show their message.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+  if (status >= 500) {
+    req.log.error(err.message, { err: err.cause || err });
+  }
+
+  let code = err.errorCode;
+  if (err.type === "entity.parse.failed") code = "INVALID_JSON";
+
+  sendError(res, status, err.expose ? err.message : "Internal server error", {
+    code,
+    details: err.details,
+  });
+};
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  createError,
+  notFoundHandler,
+  errorHandler,
+};
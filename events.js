@@ -0,0 +1,92 @@
+const { EventEmitter } = require("events");
+
+// Buses carry live update events from the routes to the SSE streams.
+// A bus exposes `publish({ channels, type, data })` and `subscribe(listener)`,
+// which calls `listener({ id, channels, type, data })` for every event
+// published from now on and returns a function that unsubscribes.
+
+// In-memory bus - events only reach streams held by the same process, so
+// it is only right for a single instance and for local development
+const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let lastId = 0;
+
+  return {
+    async publish(event) {
+      emitter.emit("event", { id: String(++lastId), ...event });
+    },
+    subscribe(listener) {
+      emitter.on("event", listener);
+      return () => emitter.off("event", listener);
+    },
+  };
+};
+
+// How long published events are kept in the liveEvents collection
+const LIVE_EVENT_TTL_MS = 60 * 1000;
+
+// Wait before reopening a change stream that failed
+const REWATCH_DELAY_MS = 5000;
+
+// MongoDB bus - events are inserted into `collection` and every instance
+// tails it with a change stream, so an event published by one instance
+// reaches streams held by all of them. Change streams need a replica set
+// (Atlas always is). Documents expire through the TTL index on `expiresAt`
+// created by ensureIndexes() in app.js.
+const createMongoBus = (collection, { logger }) => {
+  const listeners = new Set();
+  let changeStream = null;
+
+  // One change stream per instance while anyone is listening
+  const watch = () => {
+    const stream = collection.watch([{ $match: { operationType: "insert" } }]);
+    changeStream = stream;
+
+    stream.on("change", ({ fullDocument }) => {
+      const { _id, channels, type, data } = fullDocument;
+      const event = { id: String(_id), channels, type, data };
+      for (const listener of listeners) listener(event);
+    });
+
+    // The driver resumes after transient errors itself; anything that gets
+    // here has closed the stream, so open a new one if it is still needed
+    stream.on("error", (err) => {
+      logger.error("Live event change stream failed", { err });
+      if (changeStream !== stream) return;
+      changeStream = null;
+      stream.close().catch(() => {});
+      setTimeout(() => {
+        if (listeners.size > 0 && !changeStream) watch();
+      }, REWATCH_DELAY_MS).unref();
+    });
+  };
+
+  return {
+    async publish({ channels, type, data }) {
+      await collection.insertOne({
+        channels,
+        type,
+        data,
+        expiresAt: new Date(Date.now() + LIVE_EVENT_TTL_MS),
+      });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!changeStream) watch();
+
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && changeStream) {
+          changeStream.close().catch(() => {});
+          changeStream = null;
+        }
+      };
+    },
+  };
+};
+
+module.exports = {
+  createMemoryBus,
+  createMongoBus,
+};
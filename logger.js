@@ -0,0 +1,125 @@
+const { randomUUID } = require("crypto");
+
+// Structured JSON logging. Each entry is one line:
+//   {"time":"...","level":"info","msg":"...", ...fields}
+// Secrets and email addresses are redacted before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Field names whose values are never logged
+const SECRET_KEYS = /authorization|token|secret|password|cookie|signature/i;
+const EMAIL_PATTERN = /([^\s@"'<>(),;:]+)@([^\s@"'<>(),;:]+\.[a-z]{2,})/gi;
+
+// Keep the first character and the domain: alice@example.com -> a***@example.com
+const maskEmails = (text) =>
+  text.replace(
+    EMAIL_PATTERN,
+    (match, local, domain) => `${local[0]}***@${domain}`
+  );
+
+/**
+ * Copy `value` with secrets replaced by "[REDACTED]" and emails masked.
+ * Errors become { name, message, code, stack } so they survive JSON.stringify.
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === "string") return maskEmails(value);
+  if (value === null || typeof value !== "object") return value;
+  // Dates, ObjectIds and the like log as their JSON form
+  if (!(value instanceof Error) && typeof value.toJSON === "function") {
+    return redact(value.toJSON(), seen);
+  }
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        stack: value.stack,
+        cause: value.cause,
+      },
+      seen
+    );
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, seen));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    copy[key] = SECRET_KEYS.test(key) ? "[REDACTED]" : redact(field, seen);
+  }
+  return copy;
+};
+
+/**
+ * Create a logger writing JSON lines to `stream` (stdout by default).
+ * `level` is the lowest level written; "silent" turns logging off.
+ * Methods take a message and optional fields: log.error("Failed", { err }).
+ * `child(fields)` returns a logger that adds `fields` to every entry.
+ */
+const createLogger = ({
+  level = process.env.LOG_LEVEL || "info",
+  stream = process.stdout,
+  bindings = {},
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...bindings,
+      ...fields,
+    });
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (fields) =>
+      createLogger({ level, stream, bindings: { ...bindings, ...fields } }),
+  };
+};
+
+// Client-supplied request IDs are reused when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Middleware: give each request an ID (reusing a valid X-Request-Id header),
+ * echo it back in X-Request-Id, attach `req.log` bound to it and log one
+ * line per finished request. The query string is left out of the log since
+ * streams carry their token there.
+ */
+const requestLogger = (logger) => (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "") ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    };
+    if (res.statusCode >= 500) req.log.error("Request failed", fields);
+    else req.log.info("Request completed", fields);
+  });
+  next();
+};
+
+module.exports = {
+  createLogger,
+  redact,
+  requestLogger,
+};
@@ -0,0 +1,1560 @@
+// OpenAPI 3 description of the API, served at GET /openapi.json and
+// rendered by the docs UI at GET /docs.
+//
+// Request bodies are generated from the validation schemas in app.js so they
+// can't drift from what the routes accept. Every route registered on the app
+// must have an entry in `routes` (test/openapi.test.js checks this).
+
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: "array", items });
+const dateTime = { type: "string", format: "date-time" };
+const objectId = ref("ObjectId");
+
+// Uploaded and default pictures are stored as paths on this server and sent
+// as absolute URLs
+const picture = { type: "string", format: "uri" };
+const nullableId = {
+  type: "string",
+  pattern: OBJECT_ID_PATTERN,
+  nullable: true,
+};
+
+// Shape shared by the paginated list endpoints (see paginated() in app.js)
+const paginatedOf = (key, items) => ({
+  type: "object",
+  properties: {
+    [key]: arrayOf(items),
+    total: { type: "integer" },
+    page: { type: "integer" },
+    limit: { type: "integer" },
+    totalPages: { type: "integer" },
+  },
+});
+
+const successMessage = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+  },
+};
+
+const inserted = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    insertedId: objectId,
+  },
+};
+
+/**
+ * Convert a validation.js schema (field name -> rule) into a JSON Schema
+ * object. With `partial`, no field is required (PATCH bodies).
+ */
+const toJsonSchema = (schema, { partial = false } = {}) => {
+  const properties = {};
+  const required = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    properties[field] = ruleToJsonSchema(rule, partial);
+    if (rule.required && !partial) required.push(field);
+  }
+
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+};
+
+const ruleToJsonSchema = (rule, partial) => {
+  if (rule.type === "object" && rule.properties) {
+    return {
+      ...toJsonSchema(rule.properties, { partial: partial || rule.partial }),
+      ...(rule.nullable && { nullable: true }),
+    };
+  }
+
+  const result = { type: rule.type };
+  if (rule.nullable) result.nullable = true;
+  if (rule.enum) result.enum = rule.enum;
+  if (rule.minLength !== undefined) result.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) result.maxLength = rule.maxLength;
+  if (rule.min !== undefined) result.minimum = rule.min;
+  if (rule.max !== undefined) result.maximum = rule.max;
+  if (rule.maxItems !== undefined) result.maxItems = rule.maxItems;
+  if (rule.items) result.items = ruleToJsonSchema(rule.items, partial);
+  if (rule.pattern) result.pattern = rule.pattern.source;
+
+  if (rule.format === "email") result.format = "email";
+  if (rule.format === "url") result.format = "uri";
+  if (rule.format === "date") result.format = "date-time";
+  if (rule.format === "objectId") result.pattern = OBJECT_ID_PATTERN;
+
+  if (rule.maxLinks !== undefined) {
+    result.description = `May contain at most ${rule.maxLinks} links`;
+  }
+  return result;
+};
+
+// Response bodies, referenced from `routes` below
+const componentSchemas = {
+  Error: {
+    type: "object",
+    description: "Envelope used by every error response (see errors.js)",
+    properties: {
+      code: { type: "string", example: "NOT_FOUND" },
+      message: { type: "string", example: "Post not found" },
+      details: {
+        nullable: true,
+        description:
+          "Extra data, e.g. a list of { field, message } validation errors",
+      },
+      requestId: { type: "string", nullable: true },
+    },
+    required: ["code", "message", "details", "requestId"],
+  },
+  ObjectId: { type: "string", pattern: OBJECT_ID_PATTERN },
+  VoteState: {
+    type: "object",
+    properties: {
+      upVoteCount: { type: "integer" },
+      downVoteCount: { type: "integer" },
+      score: { type: "integer" },
+      myVote: {
+        type: "string",
+        enum: ["upvote", "downvote"],
+        nullable: true,
+      },
+    },
+  },
+  User: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      name: { type: "string" },
+      email: { type: "string", format: "email" },
+      photoURL: picture,
+      role: { type: "string", enum: ["user", "moderator", "admin"] },
+      paymentStatus: { type: "string", enum: ["paid", "unpaid"] },
+      status: { type: "string", enum: ["active", "suspended", "banned"] },
+      bio: { type: "string", nullable: true },
+      skills: arrayOf({ type: "string" }),
+      links: {
+        type: "object",
+        properties: {
+          github: { type: "string", nullable: true },
+          linkedin: { type: "string", nullable: true },
+        },
+      },
+      badge: { type: "string" },
+      avatarId: nullableId,
+      createdAt: dateTime,
+    },
+  },
+  Profile: {
+    type: "object",
+    description: "Public profile; never includes the email address",
+    properties: {
+      _id: objectId,
+      name: { type: "string" },
+      photoURL: picture,
+      bio: { type: "string" },
+      skills: arrayOf({ type: "string" }),
+      links: { type: "object" },
+      role: { type: "string" },
+      badge: { type: "string" },
+      joinedAt: dateTime,
+      followerCount: { type: "integer" },
+      followingCount: { type: "integer" },
+      postCount: { type: "integer" },
+      votesReceived: {
+        type: "object",
+        properties: {
+          up: { type: "integer" },
+          down: { type: "integer" },
+          score: { type: "integer" },
+        },
+      },
+      recentPosts: arrayOf(ref("Post")),
+    },
+  },
+  Post: {
+    allOf: [
+      ref("VoteState"),
+      {
+        type: "object",
+        properties: {
+          _id: objectId,
+          title: { type: "string" },
+          description: { type: "string" },
+          tag: { type: "string" },
+          author: { type: "string" },
+          authorEmail: { type: "string", format: "email" },
+          authorPhoto: picture,
+          timeOfPost: dateTime,
+          revision: { type: "integer" },
+          updatedAt: dateTime,
+          deletedAt: { ...dateTime, nullable: true },
+          bookmarked: {
+            type: "boolean",
+            description: "Only present on authenticated requests",
+          },
+          bookmarkedAt: dateTime,
+          attachments: arrayOf(objectId),
+        },
+      },
+    ],
+  },
+  PostRevision: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      postId: objectId,
+      revision: { type: "integer" },
+      snapshot: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          description: { type: "string" },
+          tag: { type: "string" },
+        },
+      },
+      changedFields: arrayOf({ type: "string" }),
+      editedBy: { type: "string", format: "email" },
+      editedAt: dateTime,
+    },
+  },
+  Comment: {
+    allOf: [
+      ref("VoteState"),
+      {
+        type: "object",
+        properties: {
+          _id: objectId,
+          postId: objectId,
+          parentId: nullableId,
+          rootId: nullableId,
+          depth: { type: "integer" },
+          replyCount: { type: "integer" },
+          message: {
+            type: "string",
+            description: '"[deleted]" or "[removed]" on placeholders',
+          },
+          name: { type: "string" },
+          email: { type: "string", format: "email" },
+          createdAt: dateTime,
+          editedAt: dateTime,
+          hidden: { type: "boolean" },
+          deleted: { type: "boolean" },
+          attachments: arrayOf(objectId),
+          replies: arrayOf(ref("Comment")),
+        },
+      },
+    ],
+  },
+  Tag: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      value: { type: "string" },
+      label: { type: "string" },
+      slug: { type: "string" },
+      category: { type: "string" },
+      postCount: { type: "integer" },
+      popularity: { type: "integer" },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  Announcement: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      title: { type: "string" },
+      message: { type: "string" },
+      pinned: { type: "boolean" },
+      priority: { type: "integer" },
+      audience: { type: "string", enum: ["all", "paid", "admins"] },
+      publishAt: dateTime,
+      expiresAt: { ...dateTime, nullable: true },
+      postedAt: dateTime,
+      author: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          email: { type: "string", format: "email" },
+          image: picture,
+          role: { type: "string" },
+        },
+      },
+      read: {
+        type: "boolean",
+        description: "Only present on authenticated requests",
+      },
+    },
+  },
+  Notification: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      type: {
+        type: "string",
+        enum: ["comment", "reply", "vote", "announcement"],
+      },
+      message: { type: "string" },
+      actorName: { type: "string" },
+      postId: objectId,
+      postTitle: { type: "string" },
+      commentId: objectId,
+      announcementId: objectId,
+      voteType: { type: "string", enum: ["upvote", "downvote"] },
+      read: { type: "boolean" },
+      createdAt: dateTime,
+    },
+  },
+  NotificationPreferences: {
+    type: "object",
+    properties: {
+      comment: { type: "boolean" },
+      reply: { type: "boolean" },
+      vote: { type: "boolean" },
+      announcement: { type: "boolean" },
+    },
+  },
+  Quota: {
+    type: "object",
+    properties: {
+      email: { type: "string", format: "email" },
+      paymentStatus: { type: "string", enum: ["paid", "unpaid"] },
+      tier: { type: "string" },
+      badge: { type: "string" },
+      used: { type: "integer" },
+      limit: { type: "integer", nullable: true },
+      remaining: { type: "integer", nullable: true },
+      canPost: { type: "boolean" },
+    },
+  },
+  MembershipConfig: {
+    type: "object",
+    properties: {
+      price: { type: "number" },
+      currency: { type: "string" },
+      tiers: {
+        type: "object",
+        properties: {
+          unpaid: ref("MembershipTier"),
+          paid: ref("MembershipTier"),
+        },
+      },
+    },
+  },
+  MembershipTier: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      badge: { type: "string" },
+      postLimit: {
+        type: "integer",
+        nullable: true,
+        description: "null means unlimited",
+      },
+    },
+  },
+  ReportedComment: {
+    type: "object",
+    properties: {
+      commentId: objectId,
+      comment: ref("Comment"),
+      reportCount: { type: "integer" },
+      firstReportedAt: dateTime,
+      reports: arrayOf({
+        type: "object",
+        properties: {
+          _id: objectId,
+          reporterEmail: { type: "string", format: "email" },
+          reason: { type: "string" },
+          details: { type: "string" },
+          createdAt: dateTime,
+          resolution: { type: "object" },
+        },
+      }),
+    },
+  },
+  Asset: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      purpose: { type: "string", enum: ["attachment", "avatar"] },
+      contentType: { type: "string" },
+      size: { type: "integer", description: "Bytes" },
+      width: { type: "integer" },
+      height: { type: "integer" },
+      url: { type: "string", format: "uri" },
+      thumbnails: {
+        type: "object",
+        description: "Avatars only: thumbnail URL by edge length",
+        additionalProperties: { type: "string", format: "uri" },
+      },
+      createdAt: dateTime,
+    },
+  },
+  ModerationLog: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      moderatorEmail: { type: "string", format: "email" },
+      action: { type: "string", enum: ["dismiss", "hide", "delete"] },
+      note: { type: "string" },
+      commentId: objectId,
+      postId: objectId,
+      targetEmail: { type: "string", format: "email" },
+      commentMessage: { type: "string" },
+      reportIds: arrayOf(objectId),
+      authorWarned: { type: "boolean" },
+      createdAt: dateTime,
+    },
+  },
+};
+
+const json = (schema) => ({ "application/json": { schema } });
+
+// Query parameters shared by several routes
+const parameters = {
+  page: {
+    name: "page",
+    in: "query",
+    schema: { type: "integer", minimum: 1, default: 1 },
+  },
+  limit: {
+    name: "limit",
+    in: "query",
+    description: "Page size (capped per route)",
+    schema: { type: "integer", minimum: 1 },
+  },
+};
+
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  schema,
+  ...(description && { description }),
+});
+
+const pageParams = [
+  { $ref: "#/components/parameters/page" },
+  { $ref: "#/components/parameters/limit" },
+];
+
+/**
+ * Every route, keyed by "METHOD /express/path".
+ * - access: "public", "optional" (a token adds per-user fields), "user",
+ *   "moderator" (moderators and admins), "admin", "stream" (token as header
+ *   or ?access_token=), "stripe" (Stripe-Signature header) or "cron" (the
+ *   CRON_SECRET as a bearer token)
+ * - body: [name of a schema in app.js, { partial }]; sent as JSON, or as
+ *   multipart/form-data with a "file" part when `multipart` is set
+ * - params: schemas for path params that aren't ObjectIds or emails
+ * - responses: status -> [description, response schema, content type]
+ */
+const routes = {
+  "GET /": {
+    tag: "Meta",
+    summary: "Greeting, handy to check the server is up",
+    access: "public",
+    responses: { 200: ["Plain text greeting", null, "text/plain"] },
+  },
+  "GET /healthz": {
+    tag: "Meta",
+    summary:
+      'Liveness: the process is up. Also runs the /readyz checks, but answers 200 either way (status is "degraded" when one fails)',
+    access: "public",
+    responses: {
+      200: [
+        "Alive",
+        {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ok", "degraded"] },
+            uptime: { type: "number", description: "Seconds" },
+            checks: {
+              type: "object",
+              additionalProperties: { type: "string", enum: ["ok", "failed"] },
+            },
+          },
+        },
+      ],
+    },
+  },
+  "GET /readyz": {
+    tag: "Meta",
+    summary:
+      "Readiness: MongoDB answers and Firebase and Stripe are configured (503 otherwise, with each check under details.checks)",
+    access: "public",
+    responses: {
+      200: [
+        "Ready",
+        {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ready"] },
+            checks: {
+              type: "object",
+              additionalProperties: { type: "string", enum: ["ok", "failed"] },
+            },
+          },
+        },
+      ],
+      503: ["Not ready or shutting down", ref("Error")],
+    },
+  },
+  "GET /openapi.json": {
+    tag: "Meta",
+    summary: "This OpenAPI document",
+    access: "public",
+    responses: { 200: ["OpenAPI 3 document", { type: "object" }] },
+  },
+  "GET /docs": {
+    tag: "Meta",
+    summary: "Interactive API docs",
+    access: "public",
+    responses: { 200: ["HTML page", null, "text/html"] },
+  },
+
+  // Users and profiles
+  "POST /users": {
+    tag: "Users",
+    summary: "Store a signed-up user unless they already exist",
+    access: "public",
+    rateLimited: true,
+    body: ["user"],
+    responses: {
+      200: ["User already exists", successMessage],
+      201: ["User stored", inserted],
+    },
+  },
+  "GET /users": {
+    tag: "Users",
+    summary: "Page through users, optionally searching name and email",
+    access: "user",
+    query: [
+      query("search", { type: "string" }),
+      ...pageParams,
+      query("sort", { type: "string", enum: ["newest", "name"] }),
+    ],
+    responses: { 200: ["Users", paginatedOf("users", ref("User"))] },
+  },
+  "PATCH /users/me": {
+    tag: "Users",
+    summary: "Update the caller's profile",
+    access: "user",
+    body: ["profile", { partial: true }],
+    responses: {
+      200: [
+        "Updated user",
+        {
+          type: "object",
+          properties: { success: { type: "boolean" }, user: ref("User") },
+        },
+      ],
+    },
+  },
+  "GET /me": {
+    tag: "Users",
+    summary: "The caller's user document with their permissions",
+    access: "user",
+    responses: {
+      200: [
+        "Current user",
+        {
+          allOf: [
+            ref("User"),
+            {
+              type: "object",
+              properties: { permissions: arrayOf({ type: "string" }) },
+            },
+          ],
+        },
+      ],
+    },
+  },
+  "GET /users/:email": {
+    tag: "Users",
+    summary: "A user by email, with their badge",
+    access: "user",
+    responses: { 200: ["User", ref("User")] },
+  },
+  "GET /users/:email/quota": {
+    tag: "Users",
+    summary: "A user's post quota (self or admin)",
+    access: "user",
+    responses: { 200: ["Quota", ref("Quota")] },
+  },
+  "GET /profiles/:id": {
+    tag: "Users",
+    summary: "Public profile by user ID",
+    access: "public",
+    responses: { 200: ["Profile", ref("Profile")] },
+  },
+  "POST /profiles/:id/follow": {
+    tag: "Follows",
+    summary: "Follow an author",
+    access: "user",
+    responses: { 201: ["Following", { type: "object" }] },
+  },
+  "DELETE /profiles/:id/follow": {
+    tag: "Follows",
+    summary: "Unfollow an author",
+    access: "user",
+    responses: { 200: ["Not following", { type: "object" }] },
+  },
+  "POST /tags/:id/follow": {
+    tag: "Follows",
+    summary: "Follow a tag",
+    access: "user",
+    responses: { 201: ["Following", { type: "object" }] },
+  },
+  "DELETE /tags/:id/follow": {
+    tag: "Follows",
+    summary: "Unfollow a tag",
+    access: "user",
+    responses: { 200: ["Not following", { type: "object" }] },
+  },
+  "GET /follows": {
+    tag: "Follows",
+    summary: "Authors and tags the caller follows",
+    access: "user",
+    responses: {
+      200: [
+        "Follows",
+        {
+          type: "object",
+          properties: {
+            followerCount: { type: "integer" },
+            followingCount: { type: "integer" },
+            users: arrayOf({
+              type: "object",
+              properties: { profileId: objectId, followedAt: dateTime },
+            }),
+            tags: arrayOf({
+              type: "object",
+              properties: {
+                tagId: objectId,
+                value: { type: "string" },
+                followedAt: dateTime,
+              },
+            }),
+          },
+        },
+      ],
+    },
+  },
+  "GET /feed": {
+    tag: "Follows",
+    summary: "Newest posts from followed authors and tags",
+    access: "user",
+    query: pageParams,
+    responses: { 200: ["Posts", paginatedOf("posts", ref("Post"))] },
+  },
+
+  // Membership and payments
+  "GET /config/membership": {
+    tag: "Membership",
+    summary: "Membership price and tiers",
+    access: "public",
+    responses: { 200: ["Config", ref("MembershipConfig")] },
+  },
+  "PATCH /config/membership": {
+    tag: "Membership",
+    summary: "Update the membership price and tiers",
+    access: "admin",
+    body: ["membershipConfig", { partial: true }],
+    responses: {
+      200: [
+        "Updated config",
+        {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            config: ref("MembershipConfig"),
+          },
+        },
+      ],
+    },
+  },
+  "POST /create-payment-intent": {
+    tag: "Membership",
+    summary: "Start a membership payment; the price comes from the config",
+    access: "user",
+    rateLimited: true,
+    responses: {
+      200: [
+        "Stripe client secret",
+        { type: "object", properties: { clientSecret: { type: "string" } } },
+      ],
+    },
+  },
+  "POST /webhooks/stripe": {
+    tag: "Membership",
+    summary: "Stripe payment events",
+    access: "stripe",
+    responses: {
+      200: [
+        "Event received",
+        { type: "object", properties: { received: { type: "boolean" } } },
+      ],
+    },
+  },
+  "PATCH /users/payment-status": {
+    tag: "Membership",
+    summary: "Manually override a user's payment status",
+    access: "admin",
+    body: ["paymentStatus"],
+    responses: { 200: ["Updated", successMessage] },
+  },
+
+  // Posts
+  "POST /posts": {
+    tag: "Posts",
+    summary: "Create a post (403 POST_LIMIT_REACHED past the quota)",
+    access: "user",
+    rateLimited: true,
+    body: ["post"],
+    responses: {
+      201: [
+        "Post created",
+        {
+          type: "object",
+          properties: {
+            acknowledged: { type: "boolean" },
+            insertedId: objectId,
+          },
+        },
+      ],
+    },
+  },
+  "GET /posts": {
+    tag: "Posts",
+    summary: "Page through posts, optionally by author or tag",
+    access: "optional",
+    query: [
+      query("email", { type: "string", format: "email" }, "Author email"),
+      query("tag", { type: "string" }),
+      ...pageParams,
+      query("sort", { type: "string", enum: ["newest", "popular"] }),
+    ],
+    responses: { 200: ["Posts", paginatedOf("posts", ref("Post"))] },
+  },
+  "GET /posts/:id": {
+    tag: "Posts",
+    summary: "A post by ID",
+    access: "optional",
+    responses: { 200: ["Post", ref("Post")] },
+  },
+  "PATCH /posts/:id": {
+    tag: "Posts",
+    summary: "Edit a post (author or admin), keeping the previous version",
+    access: "user",
+    body: ["post", { partial: true }],
+    responses: {
+      200: [
+        "Post updated",
+        {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            message: { type: "string" },
+            revision: { type: "integer" },
+            updatedAt: dateTime,
+          },
+        },
+      ],
+    },
+  },
+  "DELETE /posts/:id": {
+    tag: "Posts",
+    summary: "Soft-delete a post and its comments (author or moderator)",
+    access: "user",
+    responses: { 200: ["Post deleted", successMessage] },
+  },
+  "GET /posts/:id/revisions": {
+    tag: "Posts",
+    summary: "Previous versions of a post, newest first",
+    access: "moderator",
+    responses: { 200: ["Revisions", arrayOf(ref("PostRevision"))] },
+  },
+  "PATCH /posts/:id/restore": {
+    tag: "Posts",
+    summary: "Undo a post deletion and its comment cascade",
+    access: "admin",
+    responses: {
+      200: [
+        "Post restored",
+        {
+          allOf: [
+            successMessage,
+            {
+              type: "object",
+              properties: { restoredComments: { type: "integer" } },
+            },
+          ],
+        },
+      ],
+    },
+  },
+  "PATCH /posts/:id/vote": {
+    tag: "Posts",
+    summary: "Toggle an upvote or downvote",
+    access: "user",
+    rateLimited: true,
+    body: ["vote"],
+    responses: { 200: ["New vote state", ref("VoteState")] },
+  },
+  "POST /posts/:id/bookmark": {
+    tag: "Bookmarks",
+    summary: "Save a post for later",
+    access: "user",
+    responses: { 201: ["Bookmarked", { type: "object" }] },
+  },
+  "DELETE /posts/:id/bookmark": {
+    tag: "Bookmarks",
+    summary: "Remove a saved post",
+    access: "user",
+    responses: { 200: ["Bookmark removed", { type: "object" }] },
+  },
+  "GET /bookmarks": {
+    tag: "Bookmarks",
+    summary: "The caller's saved posts, most recently saved first",
+    access: "user",
+    query: pageParams,
+    responses: { 200: ["Posts", paginatedOf("posts", ref("Post"))] },
+  },
+  "GET /search": {
+    tag: "Posts",
+    summary: "Full-text search across posts, tags and comments",
+    access: "public",
+    query: [
+      { ...query("q", { type: "string", maxLength: 100 }), required: true },
+      query("type", { type: "string", enum: ["post", "tag", "comment"] }),
+      query("limit", { type: "integer", minimum: 1, maximum: 50 }),
+    ],
+    responses: {
+      200: [
+        "Results, best match first; snippets wrap matches in <mark>",
+        {
+          type: "object",
+          properties: {
+            query: { type: "string" },
+            total: { type: "integer" },
+            results: arrayOf({
+              type: "object",
+              properties: {
+                type: { type: "string", enum: ["post", "tag", "comment"] },
+                id: objectId,
+                postId: objectId,
+                title: { type: "string" },
+                slug: { type: "string" },
+                snippet: {
+                  type: "string",
+                  description: "HTML-escaped text with matches in <mark>",
+                },
+                score: { type: "number" },
+              },
+            }),
+          },
+        },
+      ],
+    },
+  },
+
+  // Tags
+  "GET /tags": {
+    tag: "Tags",
+    summary: "Every tag with its post count, most used first",
+    access: "public",
+    responses: { 200: ["Tags", arrayOf(ref("Tag"))] },
+  },
+  "GET /tags/trending": {
+    tag: "Tags",
+    summary: "Tags ranked by recent post activity",
+    access: "public",
+    query: [
+      query("days", { type: "integer", minimum: 1, maximum: 90, default: 7 }),
+      query("limit", { type: "integer", minimum: 1, maximum: 50, default: 10 }),
+    ],
+    responses: {
+      200: [
+        "Trending tags",
+        {
+          type: "object",
+          properties: {
+            days: { type: "integer" },
+            tags: arrayOf({
+              allOf: [
+                ref("Tag"),
+                {
+                  type: "object",
+                  properties: {
+                    recentPosts: { type: "integer" },
+                    recentScore: { type: "integer" },
+                  },
+                },
+              ],
+            }),
+          },
+        },
+      ],
+    },
+  },
+  "POST /tags": {
+    tag: "Tags",
+    summary: "Add a tag",
+    access: "admin",
+    body: ["tag"],
+    responses: { 201: ["Tag created", inserted] },
+  },
+  "PATCH /tags/:id": {
+    tag: "Tags",
+    summary: "Update a tag; renaming its value retags its posts",
+    access: "admin",
+    body: ["tag", { partial: true }],
+    responses: { 200: ["Tag updated", { type: "object" }] },
+  },
+  "POST /tags/:id/merge": {
+    tag: "Tags",
+    summary: "Move every post to another tag, then delete this one",
+    access: "admin",
+    body: ["tagMerge"],
+    responses: { 200: ["Tags merged", { type: "object" }] },
+  },
+  "DELETE /tags/:id": {
+    tag: "Tags",
+    summary: "Delete an unused tag (409 while posts use it)",
+    access: "admin",
+    responses: { 200: ["Tag deleted", successMessage] },
+  },
+
+  // Comments and moderation
+  "POST /comments": {
+    tag: "Comments",
+    summary: "Comment on a post or reply to a comment",
+    access: "user",
+    rateLimited: true,
+    body: ["comment"],
+    responses: { 201: ["Comment created", inserted] },
+  },
+  "GET /comments": {
+    tag: "Comments",
+    summary: "Every comment, newest first",
+    access: "moderator",
+    query: [query("includeDeleted", { type: "boolean" })],
+    responses: { 200: ["Comments", arrayOf(ref("Comment"))] },
+  },
+  "GET /comments/:postId": {
+    tag: "Comments",
+    summary: "A post's top-level comments, each with its nested replies",
+    access: "optional",
+    query: [
+      ...pageParams,
+      query("sort", {
+        type: "string",
+        enum: ["newest", "oldest", "popular"],
+      }),
+    ],
+    responses: { 200: ["Comments", paginatedOf("comments", ref("Comment"))] },
+  },
+  "PATCH /comments/:id": {
+    tag: "Comments",
+    summary: "Edit your own comment within the edit window",
+    access: "user",
+    body: ["commentEdit"],
+    responses: {
+      200: [
+        "Comment updated",
+        {
+          allOf: [
+            successMessage,
+            { type: "object", properties: { editedAt: dateTime } },
+          ],
+        },
+      ],
+    },
+  },
+  "PATCH /comments/:id/vote": {
+    tag: "Comments",
+    summary: "Toggle an upvote or downvote on a comment",
+    access: "user",
+    rateLimited: true,
+    body: ["vote"],
+    responses: { 200: ["New vote state", ref("VoteState")] },
+  },
+  "POST /comments/:id/report": {
+    tag: "Moderation",
+    summary: "Report a comment (once per user)",
+    access: "user",
+    rateLimited: true,
+    body: ["report"],
+    responses: { 201: ["Report filed", inserted] },
+  },
+  "DELETE /comments/:id": {
+    tag: "Comments",
+    summary: "Soft-delete a comment (author or moderator)",
+    access: "user",
+    responses: { 200: ["Comment deleted", successMessage] },
+  },
+  "PATCH /comments/:id/restore": {
+    tag: "Comments",
+    summary: "Undo a comment deletion",
+    access: "admin",
+    responses: { 200: ["Comment restored", successMessage] },
+  },
+  "GET /reported-comments": {
+    tag: "Moderation",
+    summary: "Moderation queue, grouped by comment",
+    access: "moderator",
+    query: [
+      query("status", {
+        type: "string",
+        enum: ["open", "dismissed", "actioned"],
+        default: "open",
+      }),
+      ...pageParams,
+    ],
+    responses: {
+      200: [
+        "Reported comments",
+        paginatedOf("reportedComments", ref("ReportedComment")),
+      ],
+    },
+  },
+  "PATCH /reported-comments/:commentId": {
+    tag: "Moderation",
+    summary: "Resolve every open report on a comment",
+    access: "moderator",
+    body: ["moderation"],
+    responses: {
+      200: [
+        "Reports resolved",
+        {
+          allOf: [
+            successMessage,
+            {
+              type: "object",
+              properties: { resolvedReports: { type: "integer" } },
+            },
+          ],
+        },
+      ],
+    },
+  },
+  "GET /moderation-logs": {
+    tag: "Moderation",
+    summary: "Record of moderator actions, newest first",
+    access: "moderator",
+    query: [
+      query("moderator", { type: "string", format: "email" }),
+      ...pageParams,
+    ],
+    responses: { 200: ["Logs", paginatedOf("logs", ref("ModerationLog"))] },
+  },
+
+  // Admin
+  "GET /admin/trash": {
+    tag: "Admin",
+    summary: "Soft-deleted posts or comments, newest first",
+    access: "admin",
+    query: [
+      query("type", {
+        type: "string",
+        enum: ["posts", "comments"],
+        default: "posts",
+      }),
+      ...pageParams,
+    ],
+    responses: {
+      200: [
+        "Deleted items, listed under `posts` or `comments`",
+        { type: "object" },
+      ],
+    },
+  },
+  "GET /admin/stats": {
+    tag: "Admin",
+    summary: "Dashboard numbers for a date range",
+    access: "admin",
+    query: [
+      query("days", { type: "integer", minimum: 1, default: 30 }),
+      query("from", { type: "string", format: "date" }),
+      query("to", { type: "string", format: "date" }),
+    ],
+    responses: {
+      200: [
+        "Stats",
+        {
+          type: "object",
+          properties: {
+            counts: {
+              type: "object",
+              properties: {
+                users: { type: "integer" },
+                posts: { type: "integer" },
+                comments: { type: "integer" },
+                tags: { type: "integer" },
+              },
+            },
+            payments: {
+              type: "object",
+              properties: {
+                paid: { type: "integer" },
+                unpaid: { type: "integer" },
+              },
+            },
+            range: {
+              type: "object",
+              properties: { from: dateTime, to: dateTime },
+            },
+            postsPerDay: arrayOf({
+              type: "object",
+              properties: {
+                date: { type: "string" },
+                count: { type: "integer" },
+              },
+            }),
+            topTags: arrayOf({
+              type: "object",
+              properties: {
+                tag: { type: "string" },
+                posts: { type: "integer" },
+              },
+            }),
+            mostActiveAuthors: arrayOf({
+              type: "object",
+              properties: {
+                email: { type: "string" },
+                name: { type: "string" },
+                posts: { type: "integer" },
+                score: { type: "integer" },
+              },
+            }),
+            generatedAt: dateTime,
+            cached: { type: "boolean" },
+          },
+        },
+      ],
+    },
+  },
+  "PATCH /users/status": {
+    tag: "Admin",
+    summary: "Ban, suspend or reinstate a user",
+    access: "admin",
+    body: ["accountStatus"],
+    responses: { 200: ["Status changed", successMessage] },
+  },
+  "PATCH /users/admin": {
+    tag: "Admin",
+    summary: "Change a user's role",
+    access: "admin",
+    body: ["userRole"],
+    responses: { 200: ["Role changed", successMessage] },
+  },
+
+  // Announcements
+  "GET /announcements": {
+    tag: "Announcements",
+    summary: "Visible announcements, pinned and high priority first",
+    access: "optional",
+    query: [
+      query(
+        "includeAll",
+        { type: "boolean" },
+        "Admins only: include scheduled and expired announcements"
+      ),
+    ],
+    responses: { 200: ["Announcements", arrayOf(ref("Announcement"))] },
+  },
+  "GET /announcements/unread-count": {
+    tag: "Announcements",
+    summary: "Visible announcements the caller hasn't read",
+    access: "user",
+    responses: {
+      200: [
+        "Count",
+        { type: "object", properties: { unreadCount: { type: "integer" } } },
+      ],
+    },
+  },
+  "POST /announcements/read-all": {
+    tag: "Announcements",
+    summary: "Mark every visible announcement read",
+    access: "user",
+    responses: { 200: ["Marked read", { type: "object" }] },
+  },
+  "POST /announcements/:id/read": {
+    tag: "Announcements",
+    summary: "Mark one announcement read",
+    access: "user",
+    responses: { 200: ["Marked read", { type: "object" }] },
+  },
+  "POST /announcements": {
+    tag: "Announcements",
+    summary: "Create or schedule an announcement",
+    access: "admin",
+    body: ["announcement"],
+    responses: { 201: ["Announcement created", inserted] },
+  },
+  "PATCH /announcements/:id": {
+    tag: "Announcements",
+    summary: "Edit an announcement or its schedule",
+    access: "admin",
+    body: ["announcement", { partial: true }],
+    responses: { 200: ["Announcement updated", successMessage] },
+  },
+  "DELETE /announcements/:id": {
+    tag: "Announcements",
+    summary: "Delete an announcement",
+    access: "admin",
+    responses: { 200: ["Announcement deleted", successMessage] },
+  },
+  "GET /jobs/announcements": {
+    tag: "Announcements",
+    summary:
+      "Scheduled job: notify the audience of every announcement that is due",
+    access: "cron",
+    responses: {
+      200: [
+        "Notifications sent",
+        {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            sent: { type: "integer", description: "Announcements sent" },
+          },
+        },
+      ],
+      401: ["Missing or wrong cron secret", ref("Error")],
+    },
+  },
+
+  // Uploads
+  "POST /assets": {
+    tag: "Uploads",
+    summary:
+      "Upload an image (JPEG, PNG, GIF, WebP) or PDF of up to 5 MB; avatars must be images and get 64px and 256px thumbnails",
+    access: "user",
+    rateLimited: true,
+    multipart: true,
+    body: ["upload"],
+    responses: {
+      201: [
+        "Stored; reference it by _id from posts, comments or PATCH /users/me",
+        {
+          type: "object",
+          properties: { success: { type: "boolean" }, asset: ref("Asset") },
+        },
+      ],
+      413: ["File is too large", ref("Error")],
+      415: ["Unsupported or unreadable file", ref("Error")],
+    },
+  },
+  "GET /assets/:id": {
+    tag: "Uploads",
+    summary: "An uploaded file",
+    access: "public",
+    responses: { 200: ["The file", null, "application/octet-stream"] },
+  },
+  "GET /assets/:id/thumbnails/:size": {
+    tag: "Uploads",
+    summary: "An avatar thumbnail",
+    access: "public",
+    params: { size: { type: "integer", enum: [64, 256] } },
+    responses: { 200: ["WebP image", null, "image/webp"] },
+  },
+  "DELETE /assets/:id": {
+    tag: "Uploads",
+    summary:
+      "Delete one of your uploads; it is dropped from your posts and comments, and your profile picture falls back to the default",
+    access: "user",
+    responses: { 200: ["Asset deleted", successMessage] },
+  },
+  "GET /defaults/avatar.svg": {
+    tag: "Uploads",
+    summary: "Default picture for users without one",
+    access: "public",
+    responses: { 200: ["SVG image", null, "image/svg+xml"] },
+  },
+
+  // Notifications and live updates
+  "GET /notifications": {
+    tag: "Notifications",
+    summary: "The caller's notifications, newest first",
+    access: "user",
+    query: [query("unread", { type: "boolean" }), ...pageParams],
+    responses: {
+      200: [
+        "Notifications",
+        {
+          allOf: [
+            paginatedOf("notifications", ref("Notification")),
+            {
+              type: "object",
+              properties: { unreadCount: { type: "integer" } },
+            },
+          ],
+        },
+      ],
+    },
+  },
+  "PATCH /notifications/read-all": {
+    tag: "Notifications",
+    summary: "Mark every notification read",
+    access: "user",
+    responses: {
+      200: [
+        "Marked read",
+        {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            updated: { type: "integer" },
+          },
+        },
+      ],
+    },
+  },
+  "PATCH /notifications/:id/read": {
+    tag: "Notifications",
+    summary: "Mark one notification read",
+    access: "user",
+    responses: { 200: ["Marked read", { type: "object" }] },
+  },
+  "GET /notifications/preferences": {
+    tag: "Notifications",
+    summary: "Which event types the caller is notified about",
+    access: "user",
+    responses: { 200: ["Preferences", ref("NotificationPreferences")] },
+  },
+  "PATCH /notifications/preferences": {
+    tag: "Notifications",
+    summary: "Turn event types on or off",
+    access: "user",
+    body: ["notificationPreferences", { partial: true }],
+    responses: {
+      200: [
+        "Updated preferences",
+        {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            preferences: ref("NotificationPreferences"),
+          },
+        },
+      ],
+    },
+  },
+  "GET /stream": {
+    tag: "Live updates",
+    summary:
+      "Server-Sent Events for the feed: new, updated and deleted posts and vote counts",
+    access: "stream",
+    responses: { 200: ["Event stream", null, "text/event-stream"] },
+  },
+  "GET /stream/posts/:id": {
+    tag: "Live updates",
+    summary: "Server-Sent Events for one post: comments, votes and edits",
+    access: "stream",
+    responses: { 200: ["Event stream", null, "text/event-stream"] },
+  },
+};
+
+// Security requirement and description suffix for each access level
+const ACCESS = {
+  public: { security: [] },
+  optional: {
+    security: [{}, { firebaseAuth: [] }],
+    note: "A token is optional and adds the caller's own state.",
+  },
+  user: { security: [{ firebaseAuth: [] }] },
+  moderator: {
+    security: [{ firebaseAuth: [] }],
+    note: "Requires role: moderator or admin.",
+  },
+  admin: { security: [{ firebaseAuth: [] }], note: "Requires role: admin." },
+  stream: {
+    security: [{ firebaseAuth: [] }, { accessToken: [] }],
+    note: "EventSource can't set headers, so the token may be passed as ?access_token=.",
+  },
+  stripe: { security: [{ stripeSignature: [] }] },
+  cron: {
+    security: [{ cronSecret: [] }],
+    note: "Called by Vercel Cron, which sends the CRON_SECRET as a bearer token.",
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: json(ref("Error")),
+});
+
+// Build one OpenAPI operation from its `routes` entry
+const toOperation = (path, route, schemas) => {
+  const access = ACCESS[route.access];
+  const protectedRoute = !["public", "optional", "stripe", "cron"].includes(
+    route.access
+  );
+
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema:
+      route.params?.[name] ||
+      (name === "email" ? { type: "string" } : objectId),
+  }));
+
+  const responses = {};
+  for (const [status, [description, schema, type]] of Object.entries(
+    route.responses
+  )) {
+    responses[status] = {
+      description,
+      ...(type
+        ? { content: { [type]: { schema: { type: "string" } } } }
+        : schema && { content: json(schema) }),
+    };
+  }
+  if (route.body || pathParams.length > 0) {
+    responses[400] = errorResponse("Validation failed");
+  }
+  if (protectedRoute) {
+    responses[401] = errorResponse("No token provided");
+    responses[403] = errorResponse(
+      "Invalid token, account banned or suspended, or not allowed"
+    );
+  }
+  if (route.rateLimited) {
+    responses[429] = errorResponse("Too many requests; see Retry-After");
+  }
+  responses.default = errorResponse("Error");
+
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    ...(access.note && { description: access.note }),
+    security: access.security,
+    parameters: [...pathParams, ...(route.query || [])],
+    responses,
+  };
+
+  if (route.body) {
+    const [name, options] = route.body;
+    const schema = toJsonSchema(schemas[name], options);
+    operation.requestBody = {
+      required: true,
+      content: route.multipart
+        ? {
+            "multipart/form-data": {
+              schema: {
+                ...schema,
+                properties: {
+                  file: { type: "string", format: "binary" },
+                  ...schema.properties,
+                },
+                required: ["file", ...(schema.required || [])],
+              },
+            },
+          }
+        : json(schema),
+    };
+  }
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document. `schemas` are the request body schemas from
+ * app.js, keyed by the names used in `routes`.
+ */
+const createOpenApiSpec = (schemas) => {
+  const paths = {};
+  for (const [key, route] of Object.entries(routes)) {
+    const [method, path] = key.split(" ");
+    const openApiPath = path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = {
+      ...paths[openApiPath],
+      [method.toLowerCase()]: toOperation(path, route, schemas),
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "DevConnect API",
+      version: "1.0.0",
+      description:
+        "Forum API for DevConnect. Protected routes take a Firebase ID token as `Authorization: Bearer <token>`. Errors use the envelope in the Error schema.",
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        firebaseAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "Firebase ID token",
+        },
+        accessToken: { type: "apiKey", in: "query", name: "access_token" },
+        stripeSignature: {
+          type: "apiKey",
+          in: "header",
+          name: "Stripe-Signature",
+        },
+        cronSecret: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "CRON_SECRET",
+        },
+      },
+      parameters,
+      schemas: componentSchemas,
+    },
+  };
+};
+
+// Swagger UI page for GET /docs, loading the UI from a CDN. The version is
+// pinned and the files carry SRI hashes (sha384 of the files in the npm
+// package), so the browser refuses them if the CDN ever serves anything else;
+// recompute both hashes when bumping the version.
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.1";
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>DevConnect API docs</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI}/swagger-ui.css"
+      integrity="sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script
+      src="${SWAGGER_UI}/swagger-ui-bundle.js"
+      integrity="sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw"
+      crossorigin="anonymous"
+    ></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui" });
+    </script>
+  </body>
+</html>
+`;
+
+module.exports = {
+  createOpenApiSpec,
+  toJsonSchema,
+  docsPage,
+};
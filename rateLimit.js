@@ -0,0 +1,131 @@
+const { sendError } = require("./errors");
+
+// Fixed-window rate limiting with pluggable counter stores.
+// A store exposes `increment(key, windowMs)` and resolves `{ count, resetAt }`
+// for the window the current request falls into.
+
+// In-memory store - fine for a single instance and for local development
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+// MongoDB store - shares counters between instances (e.g. several Vercel
+// functions). Documents expire through the TTL index on `expiresAt` created
+// by ensureIndexes() in app.js.
+const createMongoStore = (collection) => {
+  const increment = async (key, windowMs, retried = false) => {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    try {
+      const window = await collection.findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return { count: window.count, resetAt };
+    } catch (error) {
+      // Two first hits in a window can race on the upsert; the retry finds the doc
+      if (error.code === 11000 && !retried) {
+        return increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  };
+
+  return { increment };
+};
+
+/**
+ * Build a `rateLimit(name, limits)` middleware factory on top of `store`.
+ * `limits` holds `windowMs` and the budgets `perUser` (keyed by the verified
+ * email, so use it after verifyToken) and/or `perIp`. Each route name gets
+ * its own counters. Over-budget requests get a 429 with Retry-After.
+ */
+const createRateLimiter = (store) => (name, limits) => {
+  const { windowMs, perUser, perIp } = limits;
+
+  return async (req, res, next) => {
+    const checks = [];
+    if (perIp) checks.push({ key: `${name}:ip:${req.ip}`, max: perIp });
+    if (perUser && req.user?.email) {
+      checks.push({ key: `${name}:user:${req.user.email}`, max: perUser });
+    }
+
+    try {
+      const results = await Promise.all(
+        checks.map(async (check) => ({
+          ...check,
+          ...(await store.increment(check.key, windowMs)),
+        }))
+      );
+
+      // Report the budget that is closest to running out
+      const tightest = results.reduce(
+        (worst, result) =>
+          !worst || result.max - result.count < worst.max - worst.count
+            ? result
+            : worst,
+        null
+      );
+
+      if (tightest) {
+        const resetSeconds = Math.max(
+          Math.ceil((tightest.resetAt - Date.now()) / 1000),
+          1
+        );
+        res.set({
+          "RateLimit-Limit": String(tightest.max),
+          "RateLimit-Remaining": String(
+            Math.max(tightest.max - tightest.count, 0)
+          ),
+          "RateLimit-Reset": String(resetSeconds),
+        });
+
+        if (tightest.count > tightest.max) {
+          res.set("Retry-After", String(resetSeconds));
+          return sendError(
+            res,
+            429,
+            "Too many requests - please try again later",
+            { details: { retryAfter: resetSeconds } }
+          );
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Never lock users out because the limiter's store is unavailable
+      req.log.error("Rate limiter error", { err: error });
+      next();
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createRateLimiter,
+};
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+
+// File storage for uploaded assets, with pluggable backends.
+// A storage exposes:
+//   put(key, buffer, contentType) - save a file under `key`
+//   get(key) - resolve a readable stream of the file, or null if it's missing
+//   remove(key) - delete a file; missing files are ignored
+// Keys look like "<assetId>/original.png" and never come from the client.
+
+// Local disk - the default. Fine for a single server; serverless deployments
+// (Vercel) lose their disk between invocations and should use S3 instead.
+const createLocalStorage = ({ directory = "uploads" } = {}) => {
+  const root = path.resolve(directory);
+  const fileFor = (key) => path.join(root, ...key.split("/"));
+
+  return {
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch (err) {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      const file = fileFor(key);
+      await fs.promises.rm(file, { force: true });
+      // Drop the asset's folder once its last file is gone (fails while
+      // other files remain, which is fine)
+      if (path.dirname(file) !== root) {
+        await fs.promises.rmdir(path.dirname(file)).catch(() => {});
+      }
+    },
+  };
+};
+
+// S3 or any S3-compatible service (MinIO, Cloudflare R2, ...). `endpoint` and
+// `forcePathStyle` are only needed for non-AWS services.
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+}) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+    async get(key) {
+      try {
+        const object = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return object.Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey") return null;
+        throw err;
+      }
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+};
@@ -0,0 +1,348 @@
+const request = require("supertest");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+} = require("./helpers");
+
+describe("admin and payments", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const findUser = (key) =>
+    env.collections.users.findOne({ email: USERS[key].email });
+
+  describe("PATCH /users/status", () => {
+    it("suspends, bans and reinstates users", async () => {
+      const until = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      const suspended = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, status: "suspended", until });
+      expect(suspended.status).toBe(200);
+      await request(env.app).get("/me").set(auth("user")).expect(403);
+
+      const active = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, status: "active" });
+      expect(active.status).toBe(200);
+      await request(env.app).get("/me").set(auth("user")).expect(200);
+    });
+
+    it("rejects bad requests", async () => {
+      const own = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: USERS.admin.email, status: "banned" });
+      expect(own.status).toBe(400);
+
+      const noUntil = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, status: "suspended" });
+      expect(noUntil.status).toBe(400);
+
+      const invalid = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, status: "frozen" });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch("/users/status")
+        .set(auth("admin"))
+        .send({ email: "nobody@example.com", status: "banned" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /users/admin", () => {
+    it("changes roles", async () => {
+      const res = await request(env.app)
+        .patch("/users/admin")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, role: "moderator" });
+      expect(res.status).toBe(200);
+      expect((await findUser("user")).role).toBe("moderator");
+
+      const same = await request(env.app)
+        .patch("/users/admin")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, role: "moderator" });
+      expect(same.status).toBe(400);
+    });
+
+    it("rejects unknown roles and users", async () => {
+      const invalid = await request(env.app)
+        .patch("/users/admin")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, role: "owner" });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch("/users/admin")
+        .set(auth("admin"))
+        .send({ email: "nobody@example.com", role: "admin" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /users/payment-status", () => {
+    it("overrides a user's payment status", async () => {
+      const res = await request(env.app)
+        .patch("/users/payment-status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email });
+      expect(res.status).toBe(200);
+      expect((await findUser("user")).paymentStatus).toBe("paid");
+
+      const again = await request(env.app)
+        .patch("/users/payment-status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, paymentStatus: "paid" });
+      expect(again.status).toBe(404);
+
+      const invalid = await request(env.app)
+        .patch("/users/payment-status")
+        .set(auth("admin"))
+        .send({ email: USERS.user.email, paymentStatus: "refunded" });
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe("GET /admin/stats", () => {
+    it("reports counts for the range and caches them", async () => {
+      await createPost(env.collections);
+      await createPost(env.collections, {
+        title: "Another",
+        tag: "go",
+        authorEmail: USERS.member.email,
+      });
+
+      const res = await request(env.app)
+        .get("/admin/stats?days=7")
+        .set(auth("admin"));
+      expect(res.status).toBe(200);
+      expect(res.body.counts).toMatchObject({
+        users: Object.keys(USERS).length,
+        posts: 2,
+      });
+      expect(res.body.payments.paid).toBe(1);
+      expect(res.body.postsPerDay).toEqual([
+        { date: new Date().toISOString().slice(0, 10), count: 2 },
+      ]);
+      expect(res.body.cached).toBe(false);
+
+      const cached = await request(env.app)
+        .get("/admin/stats?days=7")
+        .set(auth("admin"));
+      expect(cached.body.cached).toBe(true);
+    });
+
+    it("includes the whole last day of a date-only range", async () => {
+      await createPost(env.collections, {
+        timeOfPost: "2024-01-31T18:00:00.000Z",
+      });
+
+      const res = await request(env.app)
+        .get("/admin/stats?from=2024-01-31&to=2024-01-31")
+        .set(auth("admin"));
+      expect(res.status).toBe(200);
+      expect(res.body.range.to).toBe("2024-01-31T23:59:59.999Z");
+      expect(res.body.postsPerDay).toEqual([{ date: "2024-01-31", count: 1 }]);
+
+      const sameDay = await request(env.app)
+        .get("/admin/stats?from=2024-01-31&to=2024-01-31T12:00:00.000Z")
+        .set(auth("admin"));
+      expect(sameDay.body.cached).toBe(false);
+      expect(sameDay.body.postsPerDay).toEqual([]);
+    });
+
+    it("keeps a separate cache per app", async () => {
+      await request(env.app)
+        .get("/admin/stats?days=7")
+        .set(auth("admin"))
+        .expect(200);
+      await reset(env);
+
+      const res = await request(env.app)
+        .get("/admin/stats?days=7")
+        .set(auth("admin"));
+      expect(res.body.cached).toBe(false);
+      expect(res.body.counts.posts).toBe(0);
+    });
+
+    it("rejects inverted or invalid ranges", async () => {
+      const inverted = await request(env.app)
+        .get("/admin/stats?from=2024-02-01&to=2024-01-01")
+        .set(auth("admin"));
+      expect(inverted.status).toBe(400);
+
+      const invalid = await request(env.app)
+        .get("/admin/stats?from=yesterday")
+        .set(auth("admin"));
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe("GET /admin/trash", () => {
+    it("rejects unknown types", async () => {
+      const res = await request(env.app)
+        .get("/admin/trash?type=users")
+        .set(auth("admin"));
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("payments", () => {
+    const webhook = (event, signature = "valid") =>
+      request(env.app)
+        .post("/webhooks/stripe")
+        .set("Stripe-Signature", signature)
+        .send(event);
+
+    it("creates a payment intent at the configured price", async () => {
+      const res = await request(env.app)
+        .post("/create-payment-intent")
+        .set(auth("user"))
+        .send({ price: 0.01 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.clientSecret).toBe("pi_test_1_secret");
+      expect(env.stripe.created[0]).toMatchObject({
+        amount: 1000,
+        currency: "usd",
+        metadata: { email: USERS.user.email },
+      });
+      expect(
+        await env.collections.payments.findOne({ paymentIntentId: "pi_test_1" })
+      ).toMatchObject({ email: USERS.user.email, amount: 1000 });
+    });
+
+    it("marks users paid on success and unpaid on refund", async () => {
+      const succeeded = await webhook({
+        id: "evt_1",
+        type: "payment_intent.succeeded",
+        data: {
+          object: {
+            id: "pi_test_1",
+            amount: 1000,
+            amount_received: 1000,
+            currency: "usd",
+            metadata: { email: USERS.user.email },
+          },
+        },
+      });
+      expect(succeeded.status).toBe(200);
+      expect((await findUser("user")).paymentStatus).toBe("paid");
+
+      await webhook({
+        id: "evt_2",
+        type: "charge.refunded",
+        data: {
+          object: {
+            payment_intent: "pi_test_1",
+            amount: 1000,
+            amount_refunded: 1000,
+            refunded: true,
+          },
+        },
+      }).expect(200);
+      expect((await findUser("user")).paymentStatus).toBe("unpaid");
+
+      const payment = await env.collections.payments.findOne({
+        paymentIntentId: "pi_test_1",
+      });
+      expect(payment.history.map((h) => h.status)).toEqual([
+        "succeeded",
+        "refunded",
+      ]);
+    });
+
+    it("skips events Stripe delivers again", async () => {
+      const event = {
+        id: "evt_1",
+        type: "payment_intent.succeeded",
+        data: {
+          object: {
+            id: "pi_test_1",
+            amount: 1000,
+            currency: "usd",
+            metadata: { email: USERS.user.email },
+          },
+        },
+      };
+      await webhook(event).expect(200);
+      await env.collections.users.updateOne(
+        { email: USERS.user.email },
+        { $set: { paymentStatus: "unpaid" } }
+      );
+
+      await webhook(event).expect(200);
+
+      const payment = await env.collections.payments.findOne({
+        paymentIntentId: "pi_test_1",
+      });
+      expect(payment.history).toHaveLength(1);
+      expect((await findUser("user")).paymentStatus).toBe("unpaid");
+    });
+
+    it("keeps the membership after a partial refund", async () => {
+      await env.collections.users.updateOne(
+        { email: USERS.user.email },
+        { $set: { paymentStatus: "paid" } }
+      );
+      await env.collections.payments.insertOne({
+        paymentIntentId: "pi_test_1",
+        email: USERS.user.email,
+        history: [],
+      });
+
+      await webhook({
+        id: "evt_3",
+        type: "charge.refunded",
+        data: {
+          object: {
+            payment_intent: "pi_test_1",
+            amount: 1000,
+            amount_refunded: 300,
+            refunded: false,
+          },
+        },
+      }).expect(200);
+
+      expect((await findUser("user")).paymentStatus).toBe("paid");
+      const payment = await env.collections.payments.findOne({
+        paymentIntentId: "pi_test_1",
+      });
+      expect(payment).toMatchObject({
+        status: "partially_refunded",
+        amountRefunded: 300,
+      });
+    });
+
+    it("rejects webhooks with a bad signature", async () => {
+      const res = await webhook(
+        {
+          id: "evt_1",
+          type: "payment_intent.succeeded",
+          data: { object: { metadata: { email: USERS.user.email } } },
+        },
+        "forged"
+      );
+
+      expect(res.status).toBe(400);
+      expect((await findUser("user")).paymentStatus).toBe("unpaid");
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  CRON_SECRET,
+  auth,
+  setup,
+  reset,
+  teardown,
+  missingId,
+} = require("./helpers");
+
+describe("announcements", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const announce = (body) =>
+    request(env.app).post("/announcements").set(auth("admin")).send(body);
+
+  const titles = (res) => res.body.map((a) => a.title);
+
+  // What Vercel Cron does every few minutes
+  const runJob = () =>
+    request(env.app)
+      .get("/jobs/announcements")
+      .set("Authorization", `Bearer ${CRON_SECRET}`);
+
+  const announcementNotifications = () =>
+    env.collections.notifications.find({ type: "announcement" }).toArray();
+
+  describe("POST /announcements", () => {
+    it("publishes to its audience", async () => {
+      const created = await announce({
+        title: "Members only",
+        message: "Thanks for your support",
+        audience: "paid",
+      });
+      expect(created.status).toBe(201);
+
+      const anonymous = await request(env.app).get("/announcements");
+      expect(titles(anonymous)).toEqual([]);
+
+      const member = await request(env.app)
+        .get("/announcements")
+        .set(auth("member"));
+      expect(titles(member)).toEqual(["Members only"]);
+      expect(member.body[0].read).toBe(false);
+    });
+
+    it("keeps scheduled announcements hidden until they publish", async () => {
+      await announce({
+        title: "Coming soon",
+        message: "Stay tuned",
+        publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      }).expect(201);
+
+      const visible = await request(env.app).get("/announcements");
+      expect(titles(visible)).toEqual([]);
+
+      const all = await request(env.app)
+        .get("/announcements?includeAll=true")
+        .set(auth("admin"));
+      expect(titles(all)).toEqual(["Coming soon"]);
+    });
+
+    it("orders pinned and high priority announcements first", async () => {
+      await announce({ title: "Regular", message: "a" }).expect(201);
+      await announce({ title: "Urgent", message: "b", priority: 10 });
+      await announce({ title: "Pinned", message: "c", pinned: true });
+
+      const res = await request(env.app).get("/announcements");
+      expect(titles(res)).toEqual(["Pinned", "Urgent", "Regular"]);
+    });
+
+    it("validates the body and the schedule", async () => {
+      const invalid = await announce({
+        title: "Hi",
+        message: "",
+        audience: "everyone",
+      });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details.map((e) => e.field).sort()).toEqual([
+        "audience",
+        "message",
+        "title",
+      ]);
+
+      const backwards = await announce({
+        title: "Backwards",
+        message: "Ends before it starts",
+        publishAt: "2030-01-02T00:00:00Z",
+        expiresAt: "2030-01-01T00:00:00Z",
+      });
+      expect(backwards.status).toBe(400);
+    });
+  });
+
+  describe("PATCH and DELETE /announcements/:id", () => {
+    it("edits and deletes announcements", async () => {
+      const { body } = await announce({ title: "Typo", message: "Oops" });
+
+      const edited = await request(env.app)
+        .patch(`/announcements/${body.insertedId}`)
+        .set(auth("admin"))
+        .send({ title: "Fixed" });
+      expect(edited.status).toBe(200);
+      expect(titles(await request(env.app).get("/announcements"))).toEqual([
+        "Fixed",
+      ]);
+
+      const empty = await request(env.app)
+        .patch(`/announcements/${body.insertedId}`)
+        .set(auth("admin"))
+        .send({});
+      expect(empty.status).toBe(400);
+
+      const deleted = await request(env.app)
+        .delete(`/announcements/${body.insertedId}`)
+        .set(auth("admin"));
+      expect(deleted.status).toBe(200);
+
+      const gone = await request(env.app)
+        .delete(`/announcements/${body.insertedId}`)
+        .set(auth("admin"));
+      expect(gone.status).toBe(404);
+    });
+
+    it("404s for unknown announcements", async () => {
+      const res = await request(env.app)
+        .patch(`/announcements/${missingId()}`)
+        .set(auth("admin"))
+        .send({ title: "Nothing here" });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /jobs/announcements", () => {
+    it("notifies the audience of due announcements once", async () => {
+      await announce({
+        title: "Members only",
+        message: "Thanks for your support",
+        audience: "paid",
+      }).expect(201);
+      expect(await announcementNotifications()).toEqual([]);
+
+      const run = await runJob();
+      expect(run.status).toBe(200);
+      expect(run.body.sent).toBe(1);
+      expect(
+        (await announcementNotifications()).map((n) => n.recipientEmail)
+      ).toEqual([USERS.member.email]);
+
+      const again = await runJob();
+      expect(again.body.sent).toBe(0);
+      expect(await announcementNotifications()).toHaveLength(1);
+    });
+
+    it("waits for scheduled announcements to publish", async () => {
+      const { body } = await announce({
+        title: "Coming soon",
+        message: "Stay tuned",
+        publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+
+      expect((await runJob()).body.sent).toBe(0);
+
+      await env.collections.announcements.updateOne(
+        { _id: new ObjectId(body.insertedId) },
+        { $set: { publishAt: new Date(Date.now() - 1000) } }
+      );
+      expect((await runJob()).body.sent).toBe(1);
+      expect(await announcementNotifications()).toHaveLength(
+        Object.keys(USERS).length - 1
+      );
+    });
+
+    it("resumes announcements a dead run left part way", async () => {
+      const { body } = await announce({ title: "Hello", message: "Hi all" });
+      const _id = new ObjectId(body.insertedId);
+      const [first, second] = await env.collections.users
+        .find({ email: { $ne: USERS.admin.email } })
+        .sort({ _id: 1 })
+        .toArray();
+      // The dead run sent to `second` but only recorded `first`
+      await env.collections.notifications.insertMany(
+        [first, second].map((user) => ({
+          type: "announcement",
+          announcementId: _id,
+          recipientEmail: user.email,
+        }))
+      );
+      await env.collections.announcements.updateOne(
+        { _id },
+        { $set: { notifyingAt: new Date(), notifiedThrough: first._id } }
+      );
+
+      expect((await runJob()).body.sent).toBe(0);
+
+      await env.collections.announcements.updateOne(
+        { _id },
+        { $set: { notifyingAt: new Date(Date.now() - 10 * 60 * 1000) } }
+      );
+      expect((await runJob()).body.sent).toBe(1);
+
+      const recipients = (await announcementNotifications()).map(
+        (n) => n.recipientEmail
+      );
+      expect(recipients).toHaveLength(Object.keys(USERS).length - 1);
+      expect(new Set(recipients).size).toBe(recipients.length);
+      const stored = await env.collections.announcements.findOne({ _id });
+      expect(stored.notifiedAt).toBeInstanceOf(Date);
+    });
+
+    it("skips announcements that expired before going out", async () => {
+      const { body } = await announce({
+        title: "Flash sale",
+        message: "Today only",
+        publishAt: new Date(Date.now() + 60 * 1000).toISOString(),
+        expiresAt: new Date(Date.now() + 2 * 60 * 1000).toISOString(),
+      });
+      await env.collections.announcements.updateOne(
+        { _id: new ObjectId(body.insertedId) },
+        {
+          $set: {
+            publishAt: new Date(Date.now() - 2 * 60 * 1000),
+            expiresAt: new Date(Date.now() - 60 * 1000),
+          },
+        }
+      );
+
+      expect((await runJob()).body.sent).toBe(0);
+      expect(await announcementNotifications()).toEqual([]);
+    });
+
+    it("needs the cron secret", async () => {
+      const missing = await request(env.app).get("/jobs/announcements");
+      expect(missing.status).toBe(401);
+
+      const wrong = await request(env.app)
+        .get("/jobs/announcements")
+        .set(auth("admin"));
+      expect(wrong.status).toBe(401);
+    });
+  });
+
+  describe("read tracking", () => {
+    it("marks one or all announcements read", async () => {
+      const first = await announce({ title: "First", message: "1" });
+      await announce({ title: "Second", message: "2" });
+
+      const count = () =>
+        request(env.app).get("/announcements/unread-count").set(auth("user"));
+      expect((await count()).body.unreadCount).toBe(2);
+
+      await request(env.app)
+        .post(`/announcements/${first.body.insertedId}/read`)
+        .set(auth("user"))
+        .expect(200);
+      expect((await count()).body.unreadCount).toBe(1);
+
+      await request(env.app)
+        .post("/announcements/read-all")
+        .set(auth("user"))
+        .expect(200);
+      expect((await count()).body.unreadCount).toBe(0);
+    });
+
+    it("404s when marking an unknown announcement", async () => {
+      const res = await request(env.app)
+        .post(`/announcements/${missingId()}/read`)
+        .set(auth("user"));
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const fs = require("fs");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const sharp = require("sharp");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  missingId,
+} = require("./helpers");
+
+describe("uploads", () => {
+  let env;
+  let png;
+
+  beforeAll(async () => {
+    env = await setup();
+    png = await sharp({
+      create: { width: 300, height: 200, channels: 3, background: "#336699" },
+    })
+      .png()
+      .toBuffer();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const upload = (key, file, { purpose, contentType = "image/png" } = {}) => {
+    const req = request(env.app).post("/assets").set(auth(key));
+    if (purpose) req.field("purpose", purpose);
+    return req.attach("file", file, { filename: "upload", contentType });
+  };
+
+  describe("POST /assets", () => {
+    it("stores an attachment and serves it back", async () => {
+      const res = await upload("user", png);
+
+      expect(res.status).toBe(201);
+      expect(res.body.asset).toMatchObject({
+        purpose: "attachment",
+        contentType: "image/png",
+        width: 300,
+        height: 200,
+        thumbnails: {},
+      });
+
+      const file = await request(env.app).get(`/assets/${res.body.asset._id}`);
+      expect(file.status).toBe(200);
+      expect(file.headers["content-type"]).toBe("image/png");
+      expect(Buffer.compare(file.body, png)).toBe(0);
+    });
+
+    it("makes square thumbnails for avatars", async () => {
+      const res = await upload("user", png, { purpose: "avatar" });
+      expect(res.status).toBe(201);
+      expect(Object.keys(res.body.asset.thumbnails)).toEqual(["64", "256"]);
+
+      const thumbnail = await request(env.app).get(
+        `/assets/${res.body.asset._id}/thumbnails/64`
+      );
+      expect(thumbnail.status).toBe(200);
+      expect(thumbnail.headers["content-type"]).toBe("image/webp");
+      expect(await sharp(thumbnail.body).metadata()).toMatchObject({
+        width: 64,
+        height: 64,
+      });
+    });
+
+    it("rejects files whose bytes don't match an allowed type", async () => {
+      const fake = await upload("user", Buffer.from("<script></script>"));
+      expect(fake.status).toBe(415);
+      expect(fake.body.code).toBe("UNSUPPORTED_MEDIA_TYPE");
+
+      const pdfAvatar = await upload("user", Buffer.from("%PDF-1.7\n"), {
+        purpose: "avatar",
+        contentType: "application/pdf",
+      });
+      expect(pdfAvatar.status).toBe(415);
+    });
+
+    it("rejects files over the size limit", async () => {
+      const res = await upload("user", Buffer.alloc(6 * 1024 * 1024));
+
+      expect(res.status).toBe(413);
+      expect(res.body.details.maxBytes).toBe(5 * 1024 * 1024);
+    });
+
+    it("needs a file and a known purpose", async () => {
+      const empty = await request(env.app).post("/assets").set(auth("user"));
+      expect(empty.status).toBe(400);
+
+      const purpose = await upload("user", png, { purpose: "banner" });
+      expect(purpose.status).toBe(400);
+      expect(purpose.body.details[0].field).toBe("purpose");
+    });
+  });
+
+  describe("GET /assets/:id", () => {
+    it("404s for unknown assets and thumbnails", async () => {
+      const missing = await request(env.app).get(`/assets/${missingId()}`);
+      expect(missing.status).toBe(404);
+
+      const attachment = await upload("user", png);
+      const thumbnail = await request(env.app).get(
+        `/assets/${attachment.body.asset._id}/thumbnails/64`
+      );
+      expect(thumbnail.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /assets/:id", () => {
+    it("removes the files and every reference to them", async () => {
+      const asset = (await upload("user", png, { purpose: "avatar" })).body
+        .asset;
+      await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ avatarId: asset._id })
+        .expect(200);
+
+      const res = await request(env.app)
+        .delete(`/assets/${asset._id}`)
+        .set(auth("user"));
+      expect(res.status).toBe(200);
+
+      const file = await request(env.app).get(`/assets/${asset._id}`);
+      expect(file.status).toBe(404);
+      const user = await env.collections.users.findOne({
+        email: USERS.user.email,
+      });
+      expect(user).toMatchObject({
+        avatarId: null,
+        photoURL: "/defaults/avatar.svg",
+      });
+      expect(await fs.promises.readdir(env.uploadDir)).toEqual([]);
+    });
+
+    it("drops deleted attachments from posts", async () => {
+      const asset = (await upload("user", png)).body.asset;
+      const post = await createPost(env.collections, {
+        attachments: [new ObjectId(asset._id)],
+      });
+
+      await request(env.app)
+        .delete(`/assets/${asset._id}`)
+        .set(auth("user"))
+        .expect(200);
+
+      const updated = await env.collections.posts.findOne({ _id: post._id });
+      expect(updated.attachments).toEqual([]);
+    });
+
+    it("only deletes the caller's own uploads", async () => {
+      const asset = (await upload("other", png)).body.asset;
+
+      const res = await request(env.app)
+        .delete(`/assets/${asset._id}`)
+        .set(auth("user"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("attachments", () => {
+    it("are referenced by ID from posts and comments", async () => {
+      const asset = (await upload("user", png)).body.asset;
+
+      const created = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send({
+          title: "Screenshot of the bug",
+          description: "See the attachment",
+          tag: "javascript",
+          attachments: [asset._id],
+        });
+      expect(created.status).toBe(201);
+
+      const post = await request(env.app).get(
+        `/posts/${created.body.insertedId}`
+      );
+      expect(post.body.attachments).toEqual([asset._id]);
+
+      const comment = await request(env.app)
+        .post("/comments")
+        .set(auth("user"))
+        .send({
+          postId: created.body.insertedId,
+          message: "Same screenshot",
+          attachments: [asset._id],
+        });
+      expect(comment.status).toBe(201);
+    });
+
+    it("must be the author's own uploads", async () => {
+      const asset = (await upload("other", png)).body.asset;
+      const post = await createPost(env.collections);
+
+      const res = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("user"))
+        .send({ attachments: [asset._id] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("INVALID_ATTACHMENT");
+    });
+  });
+
+  describe("avatars", () => {
+    it("set the profile picture to the largest thumbnail", async () => {
+      const asset = (await upload("user", png, { purpose: "avatar" })).body
+        .asset;
+
+      const res = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ avatarId: asset._id });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.avatarId).toBe(asset._id);
+      expect(res.body.user.photoURL).toMatch(
+        new RegExp(`^http://[^/]+/assets/${asset._id}/thumbnails/256$`)
+      );
+      const stored = await env.collections.users.findOne({
+        email: USERS.user.email,
+      });
+      expect(stored.photoURL).toBe(`/assets/${asset._id}/thumbnails/256`);
+
+      const cleared = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ avatarId: null });
+      expect(cleared.body.user.photoURL).toMatch(
+        /^http:\/\/[^/]+\/defaults\/avatar\.svg$/
+      );
+    });
+
+    it("show on the caller's new posts", async () => {
+      const asset = (await upload("user", png, { purpose: "avatar" })).body
+        .asset;
+      await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ avatarId: asset._id })
+        .expect(200);
+
+      const created = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send({ title: "New picture", description: "Hi", tag: "go" })
+        .expect(201);
+
+      const post = await env.collections.posts.findOne({
+        _id: new ObjectId(created.body.insertedId),
+      });
+      expect(post.authorPhoto).toBe(`/assets/${asset._id}/thumbnails/256`);
+
+      const listed = await request(env.app).get("/posts");
+      expect(listed.body.posts[0].authorPhoto).toMatch(
+        new RegExp(`^http://[^/]+/assets/${asset._id}/thumbnails/256$`)
+      );
+    });
+
+    it("must be avatar uploads of the caller", async () => {
+      const attachment = (await upload("user", png)).body.asset;
+
+      const res = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ avatarId: attachment._id });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("INVALID_AVATAR");
+    });
+  });
+
+  it("falls back to the self-hosted default avatar", async () => {
+    await request(env.app)
+      .post("/posts")
+      .set(auth("user"))
+      .send({ title: "No picture", description: "Hi", tag: "go" })
+      .expect(201);
+
+    const post = await env.collections.posts.findOne({ title: "No picture" });
+    expect(post.authorEmail).toBe(USERS.user.email);
+    expect(post.authorPhoto).toBe("/defaults/avatar.svg");
+
+    const avatar = await request(env.app).get("/defaults/avatar.svg");
+    expect(avatar.status).toBe(200);
+    expect(avatar.headers["content-type"]).toMatch("image/svg+xml");
+  });
+});
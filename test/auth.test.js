@@ -0,0 +1,269 @@
+const request = require("supertest");
+const { auth, setup, reset, teardown, missingId } = require("./helpers");
+
+const id = missingId();
+
+// Every route behind verifyToken (or verifyStreamToken)
+const protectedRoutes = [
+  ["get", "/users"],
+  ["patch", "/users/me"],
+  ["get", "/me"],
+  ["get", "/users/alice@example.com"],
+  ["get", "/users/alice@example.com/quota"],
+  ["post", `/profiles/${id}/follow`],
+  ["delete", `/profiles/${id}/follow`],
+  ["post", `/tags/${id}/follow`],
+  ["delete", `/tags/${id}/follow`],
+  ["get", "/follows"],
+  ["get", "/feed"],
+  ["patch", "/config/membership"],
+  ["post", "/posts"],
+  ["patch", `/posts/${id}`],
+  ["get", `/posts/${id}/revisions`],
+  ["delete", `/posts/${id}`],
+  ["patch", `/posts/${id}/restore`],
+  ["post", `/posts/${id}/bookmark`],
+  ["delete", `/posts/${id}/bookmark`],
+  ["get", "/bookmarks"],
+  ["patch", `/posts/${id}/vote`],
+  ["post", "/tags"],
+  ["patch", `/tags/${id}`],
+  ["post", `/tags/${id}/merge`],
+  ["delete", `/tags/${id}`],
+  ["post", "/comments"],
+  ["get", "/comments"],
+  ["patch", `/comments/${id}`],
+  ["patch", `/comments/${id}/vote`],
+  ["post", `/comments/${id}/report`],
+  ["delete", `/comments/${id}`],
+  ["patch", `/comments/${id}/restore`],
+  ["get", "/reported-comments"],
+  ["patch", `/reported-comments/${id}`],
+  ["get", "/moderation-logs"],
+  ["get", "/admin/trash"],
+  ["get", "/admin/stats"],
+  ["patch", "/users/status"],
+  ["patch", "/users/admin"],
+  ["patch", "/users/payment-status"],
+  ["post", "/create-payment-intent"],
+  ["get", "/announcements/unread-count"],
+  ["post", "/announcements/read-all"],
+  ["post", `/announcements/${id}/read`],
+  ["post", "/announcements"],
+  ["patch", `/announcements/${id}`],
+  ["delete", `/announcements/${id}`],
+  ["get", "/stream"],
+  ["get", `/stream/posts/${id}`],
+  ["get", "/notifications"],
+  ["patch", "/notifications/read-all"],
+  ["patch", `/notifications/${id}/read`],
+  ["get", "/notifications/preferences"],
+  ["patch", "/notifications/preferences"],
+  ["post", "/assets"],
+  ["delete", `/assets/${id}`],
+];
+
+const adminRoutes = [
+  ["patch", "/config/membership"],
+  ["patch", `/posts/${id}/restore`],
+  ["post", "/tags"],
+  ["patch", `/tags/${id}`],
+  ["post", `/tags/${id}/merge`],
+  ["delete", `/tags/${id}`],
+  ["patch", `/comments/${id}/restore`],
+  ["get", "/admin/trash"],
+  ["get", "/admin/stats"],
+  ["patch", "/users/status"],
+  ["patch", "/users/admin"],
+  ["patch", "/users/payment-status"],
+  ["post", "/announcements"],
+  ["patch", `/announcements/${id}`],
+  ["delete", `/announcements/${id}`],
+];
+
+const moderatorRoutes = [
+  ["get", `/posts/${id}/revisions`],
+  ["get", "/comments"],
+  ["get", "/reported-comments"],
+  ["patch", `/reported-comments/${id}`],
+  ["get", "/moderation-logs"],
+];
+
+// Every route with an :id, :commentId or :postId param
+const idRoutes = [
+  ["get", "/profiles/:id"],
+  ["post", "/profiles/:id/follow"],
+  ["delete", "/profiles/:id/follow"],
+  ["post", "/tags/:id/follow"],
+  ["delete", "/tags/:id/follow"],
+  ["get", "/posts/:id"],
+  ["patch", "/posts/:id"],
+  ["get", "/posts/:id/revisions"],
+  ["delete", "/posts/:id"],
+  ["patch", "/posts/:id/restore"],
+  ["post", "/posts/:id/bookmark"],
+  ["delete", "/posts/:id/bookmark"],
+  ["patch", "/posts/:id/vote"],
+  ["patch", "/tags/:id"],
+  ["post", "/tags/:id/merge"],
+  ["delete", "/tags/:id"],
+  ["get", "/comments/:id"],
+  ["patch", "/comments/:id"],
+  ["patch", "/comments/:id/vote"],
+  ["post", "/comments/:id/report"],
+  ["delete", "/comments/:id"],
+  ["patch", "/comments/:id/restore"],
+  ["patch", "/reported-comments/:id"],
+  ["post", "/announcements/:id/read"],
+  ["patch", "/announcements/:id"],
+  ["delete", "/announcements/:id"],
+  ["get", "/stream/posts/:id"],
+  ["patch", "/notifications/:id/read"],
+  ["get", "/assets/:id"],
+  ["delete", "/assets/:id"],
+];
+
+describe("authentication and authorization", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  it.each(protectedRoutes)("%s %s needs a token", async (method, path) => {
+    const res = await request(env.app)[method](path);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Unauthorized - No token provided");
+  });
+
+  it.each(protectedRoutes)(
+    "%s %s rejects an invalid token",
+    async (method, path) => {
+      const res = await request(env.app)
+        [method](path)
+        .set("Authorization", "Bearer not-a-real-token");
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("Forbidden - Invalid token");
+    }
+  );
+
+  it.each(protectedRoutes)(
+    "%s %s turns away banned accounts",
+    async (method, path) => {
+      const res = await request(env.app)[method](path).set(auth("banned"));
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({
+        code: "ACCOUNT_BANNED",
+        message: "Forbidden - Account banned",
+        details: { reason: "spam" },
+      });
+    }
+  );
+
+  it("accepts the token as ?access_token= on streams only", async () => {
+    const stream = await request(env.app).get(
+      "/stream?access_token=token-banned"
+    );
+    expect(stream.status).toBe(403);
+    expect(stream.body.message).toBe("Forbidden - Account banned");
+
+    const other = await request(env.app).get("/me?access_token=token-user");
+    expect(other.status).toBe(401);
+  });
+
+  it.each(adminRoutes)("%s %s is admin only", async (method, path) => {
+    for (const key of ["user", "moderator"]) {
+      const res = await request(env.app)[method](path).set(auth(key));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("Forbidden - Requires role: admin");
+      expect(res.body.details.permission).toMatch(/^[a-z]+:[a-z]+$/);
+    }
+  });
+
+  it.each(moderatorRoutes)(
+    "%s %s is for moderators and admins",
+    async (method, path) => {
+      const res = await request(env.app)[method](path).set(auth("user"));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe(
+        "Forbidden - Requires role: moderator or admin"
+      );
+    }
+  );
+
+  it.each(idRoutes)("%s %s rejects a malformed id", async (method, path) => {
+    const res = await request(env.app)
+      [method](path.replace(":id", "not-an-id"))
+      .set(auth("admin"));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.message).toBe("Validation failed");
+    expect(res.body.details).toHaveLength(1);
+    expect(res.body.details[0].message).toBe("must be a valid ID");
+  });
+
+  it("lets suspended accounts back in once the suspension ends", async () => {
+    const { users } = env.collections;
+    await users.updateOne(
+      { email: "alice@example.com" },
+      {
+        $set: {
+          status: "suspended",
+          statusReason: "cool off",
+          suspendedUntil: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      }
+    );
+
+    const suspended = await request(env.app).get("/me").set(auth("user"));
+    expect(suspended.status).toBe(403);
+    expect(suspended.body.message).toBe("Forbidden - Account suspended");
+    expect(suspended.body.details.reason).toBe("cool off");
+
+    await users.updateOne(
+      { email: "alice@example.com" },
+      { $set: { suspendedUntil: new Date(Date.now() - 1000) } }
+    );
+    const expired = await request(env.app).get("/me").set(auth("user"));
+    expect(expired.status).toBe(200);
+  });
+
+  describe("error envelope", () => {
+    it("echoes the request id in errors and the X-Request-Id header", async () => {
+      const res = await request(env.app)
+        .get("/me")
+        .set("X-Request-Id", "client-req-1");
+
+      expect(res.status).toBe(401);
+      expect(res.headers["x-request-id"]).toBe("client-req-1");
+      expect(res.body).toEqual({
+        code: "UNAUTHORIZED",
+        message: "Unauthorized - No token provided",
+        details: null,
+        requestId: "client-req-1",
+      });
+    });
+
+    it("answers unknown routes and malformed JSON with the envelope", async () => {
+      const missing = await request(env.app).get("/nope");
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe("ROUTE_NOT_FOUND");
+      expect(missing.body.requestId).toBe(missing.headers["x-request-id"]);
+
+      const malformed = await request(env.app)
+        .post("/users")
+        .set("Content-Type", "application/json")
+        .send("{");
+      expect(malformed.status).toBe(400);
+      expect(malformed.body.code).toBe("INVALID_JSON");
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const request = require("supertest");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createComment,
+  missingId,
+} = require("./helpers");
+
+describe("comments", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const comment = (key, body) =>
+    request(env.app).post("/comments").set(auth(key)).send(body);
+
+  describe("POST /comments", () => {
+    it("adds comments and replies and notifies who they concern", async () => {
+      const post = await createPost(env.collections);
+      const postId = String(post._id);
+
+      const top = await comment("other", { postId, message: "First!" });
+      expect(top.status).toBe(201);
+
+      const reply = await comment("member", {
+        postId,
+        parentId: top.body.insertedId,
+        message: "Welcome",
+      });
+      expect(reply.status).toBe(201);
+
+      const stored = await env.collections.comments.findOne({
+        message: "Welcome",
+      });
+      expect(stored).toMatchObject({ depth: 1, email: USERS.member.email });
+
+      const notifications = await env.collections.notifications
+        .find({}, { sort: { createdAt: 1 } })
+        .toArray();
+      expect(
+        notifications.map(({ recipientEmail, type }) => [recipientEmail, type])
+      ).toEqual(
+        expect.arrayContaining([
+          [USERS.user.email, "comment"],
+          [USERS.other.email, "reply"],
+        ])
+      );
+    });
+
+    it("validates the body", async () => {
+      const res = await comment("other", {
+        postId: "nope",
+        message: "see http://a.example http://b.example http://c.example",
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map((e) => e.field).sort()).toEqual([
+        "message",
+        "postId",
+      ]);
+    });
+
+    it("404s for unknown posts and parents", async () => {
+      const post = await createPost(env.collections);
+
+      const noPost = await comment("other", {
+        postId: missingId(),
+        message: "Hello",
+      });
+      expect(noPost.status).toBe(404);
+
+      const noParent = await comment("other", {
+        postId: String(post._id),
+        parentId: missingId(),
+        message: "Hello",
+      });
+      expect(noParent.status).toBe(404);
+    });
+
+    it("limits how deep replies nest", async () => {
+      const post = await createPost(env.collections);
+      const deepest = await createComment(env.collections, post, { depth: 3 });
+
+      const res = await comment("other", {
+        postId: String(post._id),
+        parentId: String(deepest._id),
+        message: "Too deep",
+      });
+      expect(res.status).toBe(400);
+    });
+
+    it("rejects duplicates", async () => {
+      const post = await createPost(env.collections);
+      const body = { postId: String(post._id), message: "Same again" };
+
+      await comment("other", body).expect(201);
+      const res = await comment("other", body);
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("GET /comments/:postId", () => {
+    it("returns a paged tree with placeholders for removed parents", async () => {
+      const post = await createPost(env.collections);
+      const root = await createComment(env.collections, post, {
+        replyCount: 1,
+        deletedAt: new Date(),
+      });
+      await createComment(env.collections, post, {
+        parentId: root._id,
+        rootId: root._id,
+        depth: 1,
+        message: "Still here",
+      });
+      await createComment(env.collections, post, {
+        message: "Hidden",
+        hidden: true,
+      });
+
+      const res = await request(env.app).get(`/comments/${post._id}`);
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.comments[0].message).toBe("[deleted]");
+      expect(res.body.comments[0].replies[0].message).toBe("Still here");
+    });
+
+    it("drops deleted roots once their replies are deleted too", async () => {
+      const post = await createPost(env.collections);
+      const postId = String(post._id);
+      const root = await comment("other", { postId, message: "Root" });
+      const reply = await comment("member", {
+        postId,
+        parentId: root.body.insertedId,
+        message: "Reply",
+      });
+      const nested = await comment("other", {
+        postId,
+        parentId: reply.body.insertedId,
+        message: "Nested",
+      });
+      const remove = (key, id) =>
+        request(env.app).delete(`/comments/${id}`).set(auth(key)).expect(200);
+      const list = () => request(env.app).get(`/comments/${postId}`);
+
+      await remove("other", root.body.insertedId);
+      await remove("member", reply.body.insertedId);
+      expect((await list()).body.total).toBe(1);
+
+      await remove("other", nested.body.insertedId);
+      const res = await list();
+      expect(res.body.total).toBe(0);
+      expect(res.body.comments).toEqual([]);
+
+      await request(env.app)
+        .patch(`/comments/${nested.body.insertedId}/restore`)
+        .set(auth("admin"))
+        .expect(200);
+      const restored = (await list()).body.comments;
+      expect(restored[0].message).toBe("[deleted]");
+      expect(restored[0].replies[0].replies[0].message).toBe("Nested");
+    });
+
+    it("sorts by newest, oldest or score", async () => {
+      const post = await createPost(env.collections);
+      const hour = 60 * 60 * 1000;
+      for (const [message, score, age] of [
+        ["Liked", 5, 3 * hour],
+        ["Latest", 1, hour],
+        ["Middle", 0, 2 * hour],
+      ]) {
+        await createComment(env.collections, post, {
+          message,
+          score,
+          createdAt: new Date(Date.now() - age),
+        });
+      }
+
+      const messages = async (sort) =>
+        (
+          await request(env.app).get(`/comments/${post._id}?sort=${sort}`)
+        ).body.comments.map((c) => c.message);
+      expect(await messages("newest")).toEqual(["Latest", "Middle", "Liked"]);
+      expect(await messages("oldest")).toEqual(["Liked", "Middle", "Latest"]);
+      expect(await messages("popular")).toEqual(["Liked", "Latest", "Middle"]);
+    });
+  });
+
+  describe("GET /comments", () => {
+    it("lists every comment for moderators", async () => {
+      const post = await createPost(env.collections);
+      await createComment(env.collections, post);
+      await createComment(env.collections, post, { deletedAt: new Date() });
+
+      const live = await request(env.app)
+        .get("/comments")
+        .set(auth("moderator"));
+      expect(live.status).toBe(200);
+      expect(live.body).toHaveLength(1);
+
+      const all = await request(env.app)
+        .get("/comments?includeDeleted=true")
+        .set(auth("moderator"));
+      expect(all.body).toHaveLength(2);
+    });
+  });
+
+  describe("PATCH /comments/:id", () => {
+    it("lets the author edit within the edit window", async () => {
+      const post = await createPost(env.collections);
+      const fresh = await createComment(env.collections, post);
+      const old = await createComment(env.collections, post, {
+        createdAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const edited = await request(env.app)
+        .patch(`/comments/${fresh._id}`)
+        .set(auth("other"))
+        .send({ message: "Edited" });
+      expect(edited.status).toBe(200);
+
+      const late = await request(env.app)
+        .patch(`/comments/${old._id}`)
+        .set(auth("other"))
+        .send({ message: "Edited" });
+      expect(late.status).toBe(403);
+
+      const notAuthor = await request(env.app)
+        .patch(`/comments/${fresh._id}`)
+        .set(auth("admin"))
+        .send({ message: "Edited" });
+      expect(notAuthor.status).toBe(403);
+    });
+
+    it("rejects empty messages and unknown comments", async () => {
+      const post = await createPost(env.collections);
+      const existing = await createComment(env.collections, post);
+
+      const empty = await request(env.app)
+        .patch(`/comments/${existing._id}`)
+        .set(auth("other"))
+        .send({ message: "   " });
+      expect(empty.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch(`/comments/${missingId()}`)
+        .set(auth("other"))
+        .send({ message: "Edited" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /comments/:id/vote", () => {
+    it("toggles votes", async () => {
+      const post = await createPost(env.collections);
+      const existing = await createComment(env.collections, post);
+
+      const res = await request(env.app)
+        .patch(`/comments/${existing._id}/vote`)
+        .set(auth("user"))
+        .send({ voteType: "upvote" });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        upVoteCount: 1,
+        downVoteCount: 0,
+        score: 1,
+        myVote: "upvote",
+      });
+    });
+
+    it("rejects bad vote types and hidden or unknown comments", async () => {
+      const post = await createPost(env.collections);
+      const hidden = await createComment(env.collections, post, {
+        hidden: true,
+      });
+
+      const invalid = await request(env.app)
+        .patch(`/comments/${hidden._id}/vote`)
+        .set(auth("user"))
+        .send({});
+      expect(invalid.status).toBe(400);
+
+      const gone = await request(env.app)
+        .patch(`/comments/${hidden._id}/vote`)
+        .set(auth("user"))
+        .send({ voteType: "upvote" });
+      expect(gone.status).toBe(404);
+
+      const missing = await request(env.app)
+        .patch(`/comments/${missingId()}/vote`)
+        .set(auth("user"))
+        .send({ voteType: "upvote" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /comments/:id and PATCH /comments/:id/restore", () => {
+    it("soft deletes for the author or moderators and restores for admins", async () => {
+      const post = await createPost(env.collections);
+      const existing = await createComment(env.collections, post);
+
+      const stranger = await request(env.app)
+        .delete(`/comments/${existing._id}`)
+        .set(auth("member"));
+      expect(stranger.status).toBe(403);
+
+      const deleted = await request(env.app)
+        .delete(`/comments/${existing._id}`)
+        .set(auth("moderator"));
+      expect(deleted.status).toBe(200);
+
+      const again = await request(env.app)
+        .delete(`/comments/${existing._id}`)
+        .set(auth("other"));
+      expect(again.status).toBe(404);
+
+      const trash = await request(env.app)
+        .get("/admin/trash?type=comments")
+        .set(auth("admin"));
+      expect(trash.body.total).toBe(1);
+
+      const restored = await request(env.app)
+        .patch(`/comments/${existing._id}/restore`)
+        .set(auth("admin"));
+      expect(restored.status).toBe(200);
+
+      const notDeleted = await request(env.app)
+        .patch(`/comments/${existing._id}/restore`)
+        .set(auth("admin"));
+      expect(notDeleted.status).toBe(404);
+    });
+  });
+});
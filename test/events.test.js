@@ -0,0 +1,17 @@
+const { createMemoryBus } = require("../events");
+
+describe("createMemoryBus", () => {
+  it("delivers events to subscribers until they unsubscribe", async () => {
+    const bus = createMemoryBus();
+    const received = [];
+    const unsubscribe = bus.subscribe((event) => received.push(event));
+
+    await bus.publish({ channels: ["posts"], type: "post.created", data: {} });
+    unsubscribe();
+    await bus.publish({ channels: ["posts"], type: "post.deleted", data: {} });
+
+    expect(received).toEqual([
+      { id: "1", channels: ["posts"], type: "post.created", data: {} },
+    ]);
+  });
+});
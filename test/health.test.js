@@ -0,0 +1,123 @@
+const http = require("http");
+const request = require("supertest");
+const { createApp, getCollections, ensureIndexes } = require("../app");
+const { createLogger } = require("../logger");
+const { auth, setup, reset, teardown } = require("./helpers");
+
+describe("health and readiness", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  // App whose readiness depends on `readinessChecks`
+  const appWith = (readinessChecks) =>
+    createApp({
+      collections: env.collections,
+      verifyIdToken: async () => ({}),
+      logger: createLogger({ level: "silent" }),
+      readinessChecks,
+    });
+
+  it("GET /healthz answers while the process is up", async () => {
+    const res = await request(env.app).get("/healthz");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: "ok", checks: { mongo: "ok" } });
+  });
+
+  it("GET /healthz reports failed checks without failing", async () => {
+    const app = appWith({ mongo: async () => true, stripe: () => false });
+
+    const res = await request(app).get("/healthz");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "degraded",
+      checks: { mongo: "ok", stripe: "failed" },
+    });
+  });
+
+  it("GET /readyz is ready when every check passes", async () => {
+    const res = await request(env.app).get("/readyz");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: "ready", checks: { mongo: "ok" } });
+  });
+
+  it("GET /readyz lists the checks that failed", async () => {
+    const app = appWith({
+      mongo: async () => true,
+      firebase: () => false,
+      stripe: async () => {
+        throw new Error("STRIPE_SECRET_KEY is not set");
+      },
+    });
+
+    const res = await request(app).get("/readyz");
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({
+      code: "NOT_READY",
+      details: {
+        checks: { mongo: "ok", firebase: "failed", stripe: "failed" },
+      },
+    });
+  });
+
+  it("GET /readyz fails while the server drains", async () => {
+    env.app.locals.shuttingDown = true;
+
+    const res = await request(env.app).get("/readyz");
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe("SHUTTING_DOWN");
+  });
+
+  it("closeEventStreams ends only the app's own streams", async () => {
+    const server = env.app.listen(0);
+    try {
+      const stream = await new Promise((resolve, reject) => {
+        http
+          .get(
+            `http://127.0.0.1:${server.address().port}/stream`,
+            { headers: auth("user") },
+            resolve
+          )
+          .on("error", reject);
+      });
+      expect(stream.statusCode).toBe(200);
+      const ended = new Promise((resolve) => stream.on("end", resolve));
+      stream.resume();
+
+      appWith({}).locals.closeEventStreams();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(stream.complete).toBe(false);
+
+      env.app.locals.closeEventStreams();
+      await ended;
+    } finally {
+      server.close();
+    }
+  });
+
+  it("ensureIndexes reports indexes existing data breaks and builds the rest", async () => {
+    const collections = getCollections(env.client.db("legacy"));
+    await collections.users.insertMany([
+      { email: "twice@example.com" },
+      { email: "twice@example.com" },
+    ]);
+
+    const errors = await ensureIndexes(collections);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].code).toBe(11000);
+    const indexes = await collections.posts.indexes();
+    expect(indexes.map((index) => index.name)).toContain("posts_tag");
+
+    await env.client.db("legacy").dropDatabase();
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoClient, ObjectId } = require("mongodb");
+const { createApp, getCollections, ensureIndexes } = require("../app");
+const { createLogger } = require("../logger");
+const { createLocalStorage } = require("../storage");
+
+// Accounts seeded before every test. Each one signs in with `token-<key>`.
+const USERS = {
+  user: { name: "Alice", email: "alice@example.com", role: "user" },
+  other: { name: "Bob", email: "bob@example.com", role: "user" },
+  member: {
+    name: "Mia",
+    email: "mia@example.com",
+    role: "user",
+    paymentStatus: "paid",
+  },
+  moderator: { name: "Mo", email: "mo@example.com", role: "moderator" },
+  admin: { name: "Ada", email: "ada@example.com", role: "admin" },
+  banned: {
+    name: "Ben",
+    email: "ben@example.com",
+    role: "user",
+    status: "banned",
+    statusReason: "spam",
+  },
+};
+
+// Signed in with Firebase but never stored through POST /users
+const UNKNOWN_USER = { name: "Nia", email: "nia@example.com" };
+
+const STRIPE_WEBHOOK_SECRET = "whsec_test";
+const CRON_SECRET = "cron_test";
+
+// Stand-in for admin.auth().verifyIdToken: known tokens decode, others throw
+const verifyIdToken = async (token) => {
+  if (token === "token-unknown") return { ...UNKNOWN_USER };
+  const key = token.replace(/^token-/, "");
+  if (!USERS[key]) throw new Error("Firebase ID token has invalid signature");
+  const { name, email } = USERS[key];
+  return { name, email, uid: `uid-${key}` };
+};
+
+// Authorization header for a seeded account
+const auth = (key) => ({ Authorization: `Bearer token-${key}` });
+
+// Just enough of the Stripe client for the payment routes. Webhook payloads
+// count as signed when the signature is `valid`.
+const createFakeStripe = () => {
+  const created = [];
+  return {
+    created,
+    paymentIntents: {
+      create: async (params) => {
+        const id = `pi_test_${created.length + 1}`;
+        const intent = {
+          id,
+          client_secret: `${id}_secret`,
+          status: "requires_payment_method",
+          ...params,
+        };
+        created.push(intent);
+        return intent;
+      },
+    },
+    webhooks: {
+      constructEvent: (payload, signature, secret) => {
+        if (signature !== "valid" || secret !== STRIPE_WEBHOOK_SECRET) {
+          throw new Error(
+            "No signatures found matching the expected signature"
+          );
+        }
+        return JSON.parse(payload.toString());
+      },
+    },
+  };
+};
+
+/**
+ * Start an in-memory MongoDB for a test file. Call from beforeAll and pass
+ * the result to `reset` before each test and `teardown` after all of them.
+ */
+const setup = async () => {
+  const mongod = await MongoMemoryServer.create();
+  const client = await MongoClient.connect(mongod.getUri());
+  const collections = getCollections(client.db("devConnect"));
+  const [indexError] = await ensureIndexes(collections);
+  if (indexError) throw indexError;
+  // Uploads go to a throwaway directory
+  const uploadDir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "devconnect-uploads-")
+  );
+  return { mongod, client, collections, uploadDir };
+};
+
+// Empty every collection, reseed USERS and build a fresh app (so rate limit
+// counters start over too)
+const reset = async (env) => {
+  await Promise.all(
+    Object.values(env.collections).map((collection) =>
+      collection.deleteMany({})
+    )
+  );
+  await env.collections.users.insertMany(
+    Object.values(USERS).map((user) => ({
+      paymentStatus: "unpaid",
+      createdAt: new Date(),
+      ...user,
+    }))
+  );
+
+  env.stripe = createFakeStripe();
+  env.app = createApp({
+    collections: env.collections,
+    verifyIdToken,
+    stripe: env.stripe,
+    stripeWebhookSecret: STRIPE_WEBHOOK_SECRET,
+    cronSecret: CRON_SECRET,
+    logger: createLogger({ level: "silent" }),
+    storage: createLocalStorage({ directory: env.uploadDir }),
+    readinessChecks: {
+      mongo: () => env.client.db("admin").command({ ping: 1 }),
+    },
+  });
+  return env;
+};
+
+const teardown = async ({ client, mongod, uploadDir }) => {
+  await client.close();
+  await mongod.stop();
+  await fs.promises.rm(uploadDir, { recursive: true, force: true });
+};
+
+// Insert a post straight into the database
+const createPost = async (collections, overrides = {}) => {
+  const post = {
+    title: "Hello world",
+    description: "A first post",
+    tag: "javascript",
+    authorEmail: USERS.user.email,
+    author: USERS.user.name,
+    timeOfPost: new Date().toISOString(),
+    upVote: [],
+    downVote: [],
+    upVoteCount: 0,
+    downVoteCount: 0,
+    score: 0,
+    ...overrides,
+  };
+  const { insertedId } = await collections.posts.insertOne(post);
+  return { ...post, _id: insertedId };
+};
+
+// Insert a comment straight into the database
+const createComment = async (collections, post, overrides = {}) => {
+  const comment = {
+    postId: String(post._id),
+    parentId: null,
+    rootId: null,
+    depth: 0,
+    replyCount: 0,
+    message: "Nice post",
+    name: USERS.other.name,
+    email: USERS.other.email,
+    upVote: [],
+    downVote: [],
+    upVoteCount: 0,
+    downVoteCount: 0,
+    score: 0,
+    createdAt: new Date(),
+    ...overrides,
+  };
+  const { insertedId } = await collections.comments.insertOne(comment);
+  return { ...comment, _id: insertedId };
+};
+
+// Insert a tag straight into the database
+const createTag = async (collections, overrides = {}) => {
+  const tag = {
+    value: "javascript",
+    label: "JavaScript",
+    slug: "javascript",
+    category: "language",
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides,
+  };
+  const { insertedId } = await collections.tags.insertOne(tag);
+  return { ...tag, _id: insertedId };
+};
+
+const missingId = () => String(new ObjectId());
+
+module.exports = {
+  USERS,
+  UNKNOWN_USER,
+  CRON_SECRET,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createComment,
+  createTag,
+  missingId,
+};
@@ -0,0 +1,146 @@
+const express = require("express");
+const request = require("supertest");
+const { createLogger, redact, requestLogger } = require("../logger");
+const { createError, notFoundHandler, errorHandler } = require("../errors");
+
+// Logger writing into an array instead of stdout
+const captureLogger = (level = "debug") => {
+  const lines = [];
+  const logger = createLogger({
+    level,
+    stream: { write: (line) => lines.push(JSON.parse(line)) },
+  });
+  return { logger, lines };
+};
+
+describe("redact", () => {
+  it("hides secrets and masks email addresses", () => {
+    expect(
+      redact({
+        headers: { Authorization: "Bearer abc", accept: "*/*" },
+        idToken: "abc",
+        user: { email: "alice@example.com" },
+        msg: "Sent to bob@example.com",
+      })
+    ).toEqual({
+      headers: { Authorization: "[REDACTED]", accept: "*/*" },
+      idToken: "[REDACTED]",
+      user: { email: "a***@example.com" },
+      msg: "Sent to b***@example.com",
+    });
+  });
+
+  it("serializes errors with their cause and survives cycles", () => {
+    const cause = new Error("connection reset for carol@example.com");
+    const error = new Error("Failed to fetch posts", { cause });
+    const cyclic = { error };
+    cyclic.self = cyclic;
+
+    const result = redact(cyclic);
+    expect(result.self).toBe("[Circular]");
+    expect(result.error).toMatchObject({
+      name: "Error",
+      message: "Failed to fetch posts",
+      cause: { message: "connection reset for c***@example.com" },
+    });
+  });
+});
+
+describe("createLogger", () => {
+  it("writes JSON lines at or above its level with child bindings", () => {
+    const { logger, lines } = captureLogger("info");
+
+    logger.debug("hidden");
+    logger.child({ requestId: "r1" }).warn("Slow query", { ms: 120 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: "warn",
+      msg: "Slow query",
+      requestId: "r1",
+      ms: 120,
+    });
+  });
+});
+
+describe("requestLogger and errorHandler", () => {
+  const buildApp = (logger) => {
+    const app = express();
+    app.use(requestLogger(logger));
+    app.use(express.json());
+    app.post("/echo", (req, res) => res.send(req.body));
+    app.get("/boom", () => {
+      throw createError(500, "Failed to fetch posts", {
+        cause: new Error("socket closed"),
+      });
+    });
+    app.get("/crash", () => {
+      throw new Error("secret internals");
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+  };
+
+  it("logs each request once without the query string", async () => {
+    const { logger, lines } = captureLogger();
+
+    const res = await request(buildApp(logger)).get(
+      "/missing?access_token=abc"
+    );
+
+    expect(res.status).toBe(404);
+    expect(lines).toEqual([
+      expect.objectContaining({
+        msg: "Request completed",
+        requestId: res.headers["x-request-id"],
+        method: "GET",
+        path: "/missing",
+        status: 404,
+      }),
+    ]);
+  });
+
+  it("ignores request ids that do not look like ids", async () => {
+    const { logger } = captureLogger("silent");
+
+    const res = await request(buildApp(logger))
+      .get("/missing")
+      .set("X-Request-Id", "<script>");
+
+    expect(res.headers["x-request-id"]).not.toBe("<script>");
+    expect(res.body.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  it("logs the cause of server errors and hides unexpected messages", async () => {
+    const { logger, lines } = captureLogger("error");
+    const app = buildApp(logger);
+
+    const known = await request(app).get("/boom");
+    expect(known.status).toBe(500);
+    expect(known.body).toMatchObject({
+      code: "INTERNAL_ERROR",
+      message: "Failed to fetch posts",
+    });
+    expect(lines[0]).toMatchObject({
+      msg: "Failed to fetch posts",
+      err: { message: "socket closed" },
+    });
+
+    const unknown = await request(app).get("/crash");
+    expect(unknown.status).toBe(500);
+    expect(unknown.body.message).toBe("Internal server error");
+  });
+
+  it("turns malformed JSON into a 400", async () => {
+    const { logger } = captureLogger("silent");
+
+    const res = await request(buildApp(logger))
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send("{");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+});
@@ -0,0 +1,138 @@
+const request = require("supertest");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createComment,
+  missingId,
+} = require("./helpers");
+
+describe("reports and moderation", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const report = (key, commentId, body = { reason: "spam" }) =>
+    request(env.app)
+      .post(`/comments/${commentId}/report`)
+      .set(auth(key))
+      .send(body);
+
+  describe("POST /comments/:id/report", () => {
+    it("accepts one report per user", async () => {
+      const post = await createPost(env.collections);
+      const comment = await createComment(env.collections, post);
+
+      const first = await report("user", comment._id);
+      expect(first.status).toBe(201);
+
+      const again = await report("user", comment._id);
+      expect(again.status).toBe(409);
+    });
+
+    it("rejects bad reasons, own comments and unknown comments", async () => {
+      const post = await createPost(env.collections);
+      const comment = await createComment(env.collections, post);
+
+      const invalid = await report("user", comment._id, { reason: "meh" });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details[0].field).toBe("reason");
+
+      const own = await report("other", comment._id);
+      expect(own.status).toBe(400);
+
+      const missing = await report("user", missingId());
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("GET /reported-comments", () => {
+    it("groups open reports by comment", async () => {
+      const post = await createPost(env.collections);
+      const comment = await createComment(env.collections, post);
+      await report("user", comment._id);
+      await report("member", comment._id, { reason: "harassment" });
+
+      const res = await request(env.app)
+        .get("/reported-comments")
+        .set(auth("moderator"));
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.reportedComments[0]).toMatchObject({
+        reportCount: 2,
+        comment: { message: comment.message },
+      });
+    });
+
+    it("rejects unknown statuses", async () => {
+      const res = await request(env.app)
+        .get("/reported-comments?status=pending")
+        .set(auth("moderator"));
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("PATCH /reported-comments/:commentId", () => {
+    it("hides the comment, warns its author and logs the action", async () => {
+      const post = await createPost(env.collections);
+      const comment = await createComment(env.collections, post);
+      await report("user", comment._id);
+
+      const res = await request(env.app)
+        .patch(`/reported-comments/${comment._id}`)
+        .set(auth("moderator"))
+        .send({ action: "hide", note: "Keep it civil" });
+      expect(res.status).toBe(200);
+      expect(res.body.resolvedReports).toBe(1);
+
+      const hidden = await env.collections.comments.findOne({
+        _id: comment._id,
+      });
+      expect(hidden.hidden).toBe(true);
+
+      const author = await env.collections.users.findOne({
+        email: USERS.other.email,
+      });
+      expect(author.warningCount).toBe(1);
+
+      const logs = await request(env.app)
+        .get(`/moderation-logs?moderator=${USERS.moderator.email}`)
+        .set(auth("admin"));
+      expect(logs.status).toBe(200);
+      expect(logs.body.logs).toHaveLength(1);
+      expect(logs.body.logs[0]).toMatchObject({
+        action: "hide",
+        authorWarned: true,
+      });
+
+      const done = await request(env.app)
+        .get("/reported-comments?status=actioned")
+        .set(auth("moderator"));
+      expect(done.body.total).toBe(1);
+    });
+
+    it("rejects unknown actions and comments without open reports", async () => {
+      const post = await createPost(env.collections);
+      const comment = await createComment(env.collections, post);
+
+      const invalid = await request(env.app)
+        .patch(`/reported-comments/${comment._id}`)
+        .set(auth("moderator"))
+        .send({ action: "ban" });
+      expect(invalid.status).toBe(400);
+
+      const unreported = await request(env.app)
+        .patch(`/reported-comments/${comment._id}`)
+        .set(auth("moderator"))
+        .send({ action: "dismiss" });
+      expect(unreported.status).toBe(404);
+    });
+  });
+});
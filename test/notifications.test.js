@@ -0,0 +1,171 @@
+const http = require("http");
+const request = require("supertest");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  missingId,
+} = require("./helpers");
+
+describe("notifications and streams", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const vote = (post, key = "other") =>
+    request(env.app)
+      .patch(`/posts/${post._id}/vote`)
+      .set(auth(key))
+      .send({ voteType: "upvote" });
+
+  describe("GET /notifications", () => {
+    it("lists the caller's notifications and marks them read", async () => {
+      const post = await createPost(env.collections);
+      await vote(post, "other").expect(200);
+      await vote(post, "member").expect(200);
+
+      const inbox = await request(env.app)
+        .get("/notifications")
+        .set(auth("user"));
+      expect(inbox.status).toBe(200);
+      expect(inbox.body.total).toBe(2);
+      expect(inbox.body.unreadCount).toBe(2);
+
+      const [latest] = inbox.body.notifications;
+      await request(env.app)
+        .patch(`/notifications/${latest._id}/read`)
+        .set(auth("user"))
+        .expect(200);
+      const unread = await request(env.app)
+        .get("/notifications?unread=true")
+        .set(auth("user"));
+      expect(unread.body.total).toBe(1);
+
+      const all = await request(env.app)
+        .patch("/notifications/read-all")
+        .set(auth("user"));
+      expect(all.body.updated).toBe(1);
+    });
+
+    it("404s for other users' and unknown notifications", async () => {
+      const post = await createPost(env.collections);
+      await vote(post).expect(200);
+      const notification = await env.collections.notifications.findOne({});
+
+      const foreign = await request(env.app)
+        .patch(`/notifications/${notification._id}/read`)
+        .set(auth("other"));
+      expect(foreign.status).toBe(404);
+
+      const missing = await request(env.app)
+        .patch(`/notifications/${missingId()}/read`)
+        .set(auth("user"));
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("notification preferences", () => {
+    it("skips event types the recipient turned off", async () => {
+      const initial = await request(env.app)
+        .get("/notifications/preferences")
+        .set(auth("user"));
+      expect(initial.body).toEqual({
+        comment: true,
+        reply: true,
+        vote: true,
+        announcement: true,
+      });
+
+      const updated = await request(env.app)
+        .patch("/notifications/preferences")
+        .set(auth("user"))
+        .send({ vote: false });
+      expect(updated.status).toBe(200);
+      expect(updated.body.preferences.vote).toBe(false);
+
+      const post = await createPost(env.collections);
+      await vote(post).expect(200);
+      expect(
+        await env.collections.notifications.countDocuments({
+          recipientEmail: USERS.user.email,
+        })
+      ).toBe(0);
+    });
+
+    it("rejects empty and unknown preferences", async () => {
+      const empty = await request(env.app)
+        .patch("/notifications/preferences")
+        .set(auth("user"))
+        .send({});
+      expect(empty.status).toBe(400);
+
+      const invalid = await request(env.app)
+        .patch("/notifications/preferences")
+        .set(auth("user"))
+        .send({ vote: "no", email: true });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details.map((e) => e.field).sort()).toEqual([
+        "email",
+        "vote",
+      ]);
+    });
+
+    it("404s for callers that were never stored", async () => {
+      const res = await request(env.app)
+        .get("/notifications/preferences")
+        .set(auth("unknown"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /stream/posts/:id", () => {
+    let server;
+
+    beforeEach((done) => {
+      server = env.app.listen(0, done);
+    });
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    // Open a stream and collect events until `count` have arrived
+    const readEvents = (path, count, onOpen) =>
+      new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get({ port: server.address().port, path }, (res) => {
+          expect(res.headers["content-type"]).toMatch("text/event-stream");
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            for (const block of chunk.split("\n\n")) {
+              const type = block.match(/^event: (.+)$/m);
+              if (type) events.push(type[1]);
+            }
+            if (events.length >= count) {
+              req.destroy();
+              resolve(events);
+            }
+          });
+          onOpen();
+        });
+        req.on("error", reject);
+      });
+
+    it("pushes live vote counts for the post", async () => {
+      const post = await createPost(env.collections);
+
+      const events = await readEvents(
+        `/stream/posts/${post._id}?access_token=token-other`,
+        1,
+        () => vote(post).then(() => {})
+      );
+      expect(events).toEqual(["post.votes"]);
+    });
+  });
+});
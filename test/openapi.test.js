@@ -0,0 +1,93 @@
+const request = require("supertest");
+const { setup, reset, teardown } = require("./helpers");
+
+// "METHOD /openapi/{path}" for every route registered on the app
+const registeredRoutes = (app) =>
+  app.router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map(
+        (method) =>
+          `${method.toUpperCase()} ${route.path.replace(/:(\w+)/g, "{$1}")}`
+      )
+    );
+
+const documentedRoutes = (spec) =>
+  Object.entries(spec.paths).flatMap(([path, operations]) =>
+    Object.keys(operations).map((method) => `${method.toUpperCase()} ${path}`)
+  );
+
+describe("API docs", () => {
+  let env;
+  let spec;
+
+  beforeAll(async () => {
+    env = await setup();
+    await reset(env);
+    spec = (await request(env.app).get("/openapi.json").expect(200)).body;
+  });
+  afterAll(() => teardown(env));
+
+  it("documents every registered route", () => {
+    const documented = new Set(documentedRoutes(spec));
+    const missing = registeredRoutes(env.app).filter(
+      (route) => !documented.has(route)
+    );
+
+    expect(missing).toEqual([]);
+  });
+
+  it("only documents routes that exist", () => {
+    const registered = new Set(registeredRoutes(env.app));
+    const stale = documentedRoutes(spec).filter(
+      (route) => !registered.has(route)
+    );
+
+    expect(stale).toEqual([]);
+  });
+
+  it("marks protected routes with Firebase bearer auth", () => {
+    expect(spec.components.securitySchemes.firebaseAuth).toMatchObject({
+      type: "http",
+      scheme: "bearer",
+    });
+    expect(spec.paths["/posts"].post.security).toEqual([{ firebaseAuth: [] }]);
+    expect(spec.paths["/posts"].get.security).toEqual([
+      {},
+      { firebaseAuth: [] },
+    ]);
+    expect(spec.paths["/tags"].get.security).toEqual([]);
+  });
+
+  it("describes request bodies from the validation schemas", () => {
+    const create =
+      spec.paths["/posts"].post.requestBody.content["application/json"].schema;
+    expect(create.required).toEqual(["title", "description", "tag"]);
+    expect(create.properties.title).toMatchObject({
+      type: "string",
+      minLength: 3,
+      maxLength: 150,
+    });
+
+    const edit =
+      spec.paths["/posts/{id}"].patch.requestBody.content["application/json"]
+        .schema;
+    expect(edit.required).toBeUndefined();
+    expect(spec.paths["/posts/{id}"].patch.parameters[0]).toMatchObject({
+      name: "id",
+      in: "path",
+      required: true,
+    });
+  });
+
+  it("serves the docs UI", async () => {
+    const res = await request(env.app).get("/docs");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch("text/html");
+    expect(res.text).toContain("openapi.json");
+    // Pinned CDN assets checked by the browser
+    expect(res.text).toMatch(/swagger-ui-dist@\d+\.\d+\.\d+\//);
+    expect(res.text.match(/integrity="sha384-/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,436 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { runMigrations } = require("../app");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createComment,
+  createTag,
+  missingId,
+} = require("./helpers");
+
+describe("posts", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const newPost = {
+    title: "Learning Express 5",
+    description: "Async errors are handled for you now",
+    tag: "javascript",
+  };
+
+  describe("POST /posts", () => {
+    it("creates a post for the caller", async () => {
+      const res = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send(newPost);
+
+      expect(res.status).toBe(201);
+      const post = await env.collections.posts.findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(post).toMatchObject({
+        ...newPost,
+        authorEmail: USERS.user.email,
+        author: "Alice",
+        score: 0,
+      });
+    });
+
+    it("validates the body", async () => {
+      const res = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send({ title: "Go to https://spam.example", tag: "x", views: 3 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(
+        expect.arrayContaining([
+          { field: "views", message: "is not allowed" },
+          { field: "title", message: "must contain at most 0 links" },
+          { field: "description", message: "is required" },
+        ])
+      );
+    });
+
+    it("rejects the same post twice", async () => {
+      await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send(newPost)
+        .expect(201);
+
+      const res = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send(newPost);
+      expect(res.status).toBe(409);
+    });
+
+    it("enforces the free tier post limit", async () => {
+      for (let i = 0; i < 5; i++) {
+        await createPost(env.collections, { title: `Post ${i}` });
+      }
+
+      const res = await request(env.app)
+        .post("/posts")
+        .set(auth("user"))
+        .send(newPost);
+      expect(res.status).toBe(403);
+      expect(res.body.details.quota).toMatchObject({ used: 5, canPost: false });
+
+      const member = await request(env.app)
+        .post("/posts")
+        .set(auth("member"))
+        .send(newPost);
+      expect(member.status).toBe(201);
+    });
+  });
+
+  describe("GET /posts", () => {
+    it("pages posts and hides deleted ones", async () => {
+      await createPost(env.collections, { title: "Old", score: 5 });
+      await createPost(env.collections, { title: "New" });
+      await createPost(env.collections, {
+        title: "Gone",
+        deletedAt: new Date(),
+      });
+
+      const newest = await request(env.app).get("/posts?limit=1");
+      expect(newest.status).toBe(200);
+      expect(newest.body.total).toBe(2);
+      expect(newest.body.posts.map((p) => p.title)).toEqual(["New"]);
+
+      const popular = await request(env.app).get("/posts?sort=popular");
+      expect(popular.body.posts.map((p) => p.title)).toEqual(["Old", "New"]);
+    });
+
+    it("adds the caller's vote and bookmark state", async () => {
+      const post = await createPost(env.collections, {
+        upVote: [USERS.other.email],
+        upVoteCount: 1,
+        score: 1,
+      });
+      await env.collections.bookmarks.insertOne({
+        email: USERS.other.email,
+        postId: post._id,
+        createdAt: new Date(),
+      });
+
+      const res = await request(env.app).get("/posts").set(auth("other"));
+      expect(res.body.posts[0]).toMatchObject({
+        myVote: "upvote",
+        upVoteCount: 1,
+        bookmarked: true,
+      });
+      expect(res.body.posts[0].upVote).toBeUndefined();
+    });
+  });
+
+  describe("GET /posts/:id", () => {
+    it("returns a post", async () => {
+      const post = await createPost(env.collections);
+
+      const res = await request(env.app).get(`/posts/${post._id}`);
+      expect(res.status).toBe(200);
+      expect(res.body.title).toBe(post.title);
+    });
+
+    it("only shows deleted posts to admins", async () => {
+      const post = await createPost(env.collections, { deletedAt: new Date() });
+
+      const anonymous = await request(env.app).get(`/posts/${post._id}`);
+      expect(anonymous.status).toBe(404);
+
+      const author = await request(env.app)
+        .get(`/posts/${post._id}`)
+        .set(auth("user"));
+      expect(author.status).toBe(404);
+
+      const admin = await request(env.app)
+        .get(`/posts/${post._id}`)
+        .set(auth("admin"));
+      expect(admin.status).toBe(200);
+    });
+
+    it("404s for unknown posts", async () => {
+      const res = await request(env.app).get(`/posts/${missingId()}`);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /posts/:id", () => {
+    it("lets the author edit and keeps a revision", async () => {
+      const post = await createPost(env.collections);
+
+      const res = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("user"))
+        .send({ title: "Hello again" });
+      expect(res.status).toBe(200);
+      expect(res.body.revision).toBe(1);
+
+      const revisions = await request(env.app)
+        .get(`/posts/${post._id}/revisions`)
+        .set(auth("moderator"));
+      expect(revisions.status).toBe(200);
+      expect(revisions.body).toHaveLength(1);
+      expect(revisions.body[0]).toMatchObject({
+        revision: 0,
+        snapshot: { title: "Hello world" },
+        changedFields: ["title"],
+        editedBy: USERS.user.email,
+      });
+    });
+
+    it("lets admins edit but not other users", async () => {
+      const post = await createPost(env.collections);
+
+      const other = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("other"))
+        .send({ title: "Mine now" });
+      expect(other.status).toBe(403);
+
+      const moderator = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("moderator"))
+        .send({ title: "Mine now" });
+      expect(moderator.status).toBe(403);
+
+      const admin = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("admin"))
+        .send({ title: "Fixed title" });
+      expect(admin.status).toBe(200);
+    });
+
+    it("rejects empty or invalid edits and unknown posts", async () => {
+      const post = await createPost(env.collections);
+
+      const empty = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("user"))
+        .send({});
+      expect(empty.status).toBe(400);
+
+      const invalid = await request(env.app)
+        .patch(`/posts/${post._id}`)
+        .set(auth("user"))
+        .send({ title: "x" });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch(`/posts/${missingId()}`)
+        .set(auth("user"))
+        .send({ title: "Hello again" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /posts/:id and PATCH /posts/:id/restore", () => {
+    it("soft deletes a post with its comments and restores both", async () => {
+      const post = await createPost(env.collections);
+      await createComment(env.collections, post);
+
+      const other = await request(env.app)
+        .delete(`/posts/${post._id}`)
+        .set(auth("other"));
+      expect(other.status).toBe(403);
+
+      const deleted = await request(env.app)
+        .delete(`/posts/${post._id}`)
+        .set(auth("user"));
+      expect(deleted.status).toBe(200);
+      expect(
+        await env.collections.comments.countDocuments({ deletedAt: null })
+      ).toBe(0);
+
+      const again = await request(env.app)
+        .delete(`/posts/${post._id}`)
+        .set(auth("user"));
+      expect(again.status).toBe(404);
+
+      const trash = await request(env.app)
+        .get("/admin/trash?type=posts")
+        .set(auth("admin"));
+      expect(trash.body.total).toBe(1);
+
+      const restored = await request(env.app)
+        .patch(`/posts/${post._id}/restore`)
+        .set(auth("admin"));
+      expect(restored.status).toBe(200);
+      expect(restored.body.restoredComments).toBe(1);
+
+      const notDeleted = await request(env.app)
+        .patch(`/posts/${post._id}/restore`)
+        .set(auth("admin"));
+      expect(notDeleted.status).toBe(404);
+    });
+
+    it("lets moderators delete any post", async () => {
+      const post = await createPost(env.collections);
+
+      const res = await request(env.app)
+        .delete(`/posts/${post._id}`)
+        .set(auth("moderator"));
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe("bookmarks", () => {
+    it("saves, lists and removes bookmarks", async () => {
+      const post = await createPost(env.collections);
+
+      await request(env.app)
+        .post(`/posts/${post._id}/bookmark`)
+        .set(auth("other"))
+        .expect(201);
+      await request(env.app)
+        .post(`/posts/${post._id}/bookmark`)
+        .set(auth("other"))
+        .expect(201);
+
+      const list = await request(env.app).get("/bookmarks").set(auth("other"));
+      expect(list.status).toBe(200);
+      expect(list.body.total).toBe(1);
+      expect(list.body.posts[0]).toMatchObject({ bookmarked: true });
+
+      await request(env.app)
+        .delete(`/posts/${post._id}/bookmark`)
+        .set(auth("other"))
+        .expect(200);
+      const empty = await request(env.app).get("/bookmarks").set(auth("other"));
+      expect(empty.body.total).toBe(0);
+    });
+
+    it("404s for unknown posts", async () => {
+      const res = await request(env.app)
+        .post(`/posts/${missingId()}/bookmark`)
+        .set(auth("other"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /posts/:id/vote", () => {
+    it("toggles votes and notifies the author", async () => {
+      const post = await createPost(env.collections);
+      const vote = (voteType) =>
+        request(env.app)
+          .patch(`/posts/${post._id}/vote`)
+          .set(auth("other"))
+          .send({ voteType });
+
+      const up = await vote("upvote");
+      expect(up.status).toBe(200);
+      expect(up.body).toEqual({
+        upVoteCount: 1,
+        downVoteCount: 0,
+        score: 1,
+        myVote: "upvote",
+      });
+
+      const down = await vote("downvote");
+      expect(down.body).toMatchObject({ score: -1, myVote: "downvote" });
+
+      const undo = await vote("downvote");
+      expect(undo.body).toMatchObject({ score: 0, myVote: null });
+
+      expect(
+        await env.collections.notifications.countDocuments({
+          recipientEmail: USERS.user.email,
+          type: "vote",
+        })
+      ).toBe(2);
+    });
+
+    it("rejects bad vote types and unknown posts", async () => {
+      const post = await createPost(env.collections);
+
+      const invalid = await request(env.app)
+        .patch(`/posts/${post._id}/vote`)
+        .set(auth("other"))
+        .send({ voteType: "sideways" });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch(`/posts/${missingId()}/vote`)
+        .set(auth("other"))
+        .send({ voteType: "upvote" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("GET /search", () => {
+    it("finds posts, tags and comments", async () => {
+      const post = await createPost(env.collections, {
+        title: "Mongo aggregation tips",
+      });
+      await createComment(env.collections, post, {
+        message: "Great mongo tips",
+      });
+      await createTag(env.collections, { value: "mongo", label: "Mongo" });
+
+      const res = await request(env.app).get("/search?q=mongo");
+      expect(res.status).toBe(200);
+      expect(res.body.results.map((r) => r.type).sort()).toEqual([
+        "comment",
+        "post",
+        "tag",
+      ]);
+      expect(res.body.results.find((r) => r.type === "post").title).toBe(
+        "Mongo aggregation tips"
+      );
+
+      const tagsOnly = await request(env.app).get("/search?q=mongo&type=tag");
+      expect(tagsOnly.body.results).toHaveLength(1);
+    });
+
+    it("escapes markup in snippets", async () => {
+      await createPost(env.collections, {
+        title: "Images",
+        description: "mongo <img src=x onerror=alert(1)>",
+      });
+
+      const res = await request(env.app).get("/search?q=mongo&type=post");
+      expect(res.body.results[0].snippet).toBe(
+        "<mark>mongo</mark> &lt;img src=x onerror=alert(1)&gt;"
+      );
+    });
+
+    it("needs a query of reasonable length", async () => {
+      const missing = await request(env.app).get("/search");
+      expect(missing.status).toBe(400);
+
+      const long = await request(env.app).get(`/search?q=${"a".repeat(101)}`);
+      expect(long.status).toBe(400);
+    });
+  });
+
+  describe("runMigrations", () => {
+    it("backfills vote counts on old posts once", async () => {
+      const { insertedId } = await env.collections.posts.insertOne({
+        title: "From before vote counts",
+        upVote: [USERS.user.email, USERS.other.email],
+        downVote: [USERS.member.email],
+      });
+
+      await runMigrations(env.collections);
+      await runMigrations(env.collections);
+
+      expect(
+        await env.collections.posts.findOne({ _id: insertedId })
+      ).toMatchObject({ upVoteCount: 2, downVoteCount: 1, score: 1 });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLocalStorage } = require("../storage");
+const { detectType } = require("../uploads");
+
+// Read a stream into a single buffer
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("createLocalStorage", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-"));
+  });
+  afterEach(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+  it("stores, reads and removes files under nested keys", async () => {
+    const storage = createLocalStorage({ directory });
+
+    await storage.put("abc/original.png", Buffer.from("image bytes"));
+    expect(
+      (await readAll(await storage.get("abc/original.png"))).toString()
+    ).toBe("image bytes");
+
+    await storage.remove("abc/original.png");
+    expect(await storage.get("abc/original.png")).toBeNull();
+    expect(await fs.promises.readdir(directory)).toEqual([]);
+  });
+
+  it("ignores missing files on remove", async () => {
+    const storage = createLocalStorage({ directory });
+
+    await expect(storage.remove("nope/original.png")).resolves.toBeUndefined();
+  });
+});
+
+describe("detectType", () => {
+  it("recognizes files by their first bytes", () => {
+    expect(detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe(
+      "image/jpeg"
+    );
+    expect(detectType(Buffer.from("GIF89a..."))).toBe("image/gif");
+    expect(detectType(Buffer.from("RIFF\0\0\0\0WEBPVP8 "))).toBe("image/webp");
+    expect(detectType(Buffer.from("%PDF-1.7"))).toBe("application/pdf");
+  });
+
+  it("returns null for anything else", () => {
+    expect(detectType(Buffer.from("<svg></svg>"))).toBeNull();
+    expect(detectType(Buffer.alloc(0))).toBeNull();
+  });
+});
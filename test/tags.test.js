@@ -0,0 +1,198 @@
+const request = require("supertest");
+const {
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createTag,
+  missingId,
+} = require("./helpers");
+
+describe("tags", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const newTag = {
+    value: "rust",
+    label: "Rust",
+    slug: "rust",
+    category: "language",
+  };
+
+  describe("POST /tags", () => {
+    it("creates tags with unique slugs and values", async () => {
+      const created = await request(env.app)
+        .post("/tags")
+        .set(auth("admin"))
+        .send(newTag);
+      expect(created.status).toBe(201);
+
+      const duplicate = await request(env.app)
+        .post("/tags")
+        .set(auth("admin"))
+        .send({ ...newTag, value: "rust-lang" });
+      expect(duplicate.status).toBe(409);
+    });
+
+    it("validates the body", async () => {
+      const res = await request(env.app)
+        .post("/tags")
+        .set(auth("admin"))
+        .send({ ...newTag, slug: "Not A Slug", popularity: 10 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(
+        expect.arrayContaining([
+          { field: "popularity", message: "is not allowed" },
+          {
+            field: "slug",
+            message: "must be lowercase letters, numbers and dashes",
+          },
+        ])
+      );
+    });
+  });
+
+  describe("GET /tags and GET /tags/trending", () => {
+    it("counts posts per tag", async () => {
+      await createTag(env.collections);
+      await createTag(env.collections, {
+        value: "go",
+        label: "Go",
+        slug: "go",
+      });
+      await createPost(env.collections, { tag: "go" });
+      await createPost(env.collections, { tag: "go", title: "More go" });
+      await createPost(env.collections, {
+        tag: "javascript",
+        timeOfPost: new Date(
+          Date.now() - 30 * 24 * 60 * 60 * 1000
+        ).toISOString(),
+      });
+
+      const all = await request(env.app).get("/tags");
+      expect(all.status).toBe(200);
+      expect(all.body.map((t) => [t.value, t.postCount])).toEqual([
+        ["go", 2],
+        ["javascript", 1],
+      ]);
+
+      const trending = await request(env.app).get("/tags/trending?days=7");
+      expect(trending.status).toBe(200);
+      expect(trending.body.tags.map((t) => t.value)).toEqual(["go"]);
+    });
+  });
+
+  describe("PATCH /tags/:id", () => {
+    it("retags posts when the value changes", async () => {
+      const tag = await createTag(env.collections);
+      await createPost(env.collections);
+
+      const res = await request(env.app)
+        .patch(`/tags/${tag._id}`)
+        .set(auth("admin"))
+        .send({ value: "js" });
+      expect(res.status).toBe(200);
+      expect(res.body.retaggedPosts).toBe(1);
+      expect(await env.collections.posts.countDocuments({ tag: "js" })).toBe(1);
+    });
+
+    it("rejects empty updates and unknown tags", async () => {
+      const tag = await createTag(env.collections);
+
+      const empty = await request(env.app)
+        .patch(`/tags/${tag._id}`)
+        .set(auth("admin"))
+        .send({});
+      expect(empty.status).toBe(400);
+
+      const missing = await request(env.app)
+        .patch(`/tags/${missingId()}`)
+        .set(auth("admin"))
+        .send({ label: "JS" });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("POST /tags/:id/merge", () => {
+    it("moves posts and followers to the target tag", async () => {
+      const source = await createTag(env.collections, {
+        value: "js",
+        label: "JS",
+        slug: "js",
+      });
+      const target = await createTag(env.collections);
+      await createPost(env.collections, { tag: "js" });
+      await request(env.app)
+        .post(`/tags/${source._id}/follow`)
+        .set(auth("user"))
+        .expect(201);
+
+      const res = await request(env.app)
+        .post(`/tags/${source._id}/merge`)
+        .set(auth("admin"))
+        .send({ targetId: String(target._id) });
+      expect(res.status).toBe(200);
+      expect(res.body.retaggedPosts).toBe(1);
+
+      const follows = await request(env.app).get("/follows").set(auth("user"));
+      expect(follows.body.tags.map((t) => t.value)).toEqual(["javascript"]);
+    });
+
+    it("rejects merging into itself or unknown tags", async () => {
+      const tag = await createTag(env.collections);
+
+      const self = await request(env.app)
+        .post(`/tags/${tag._id}/merge`)
+        .set(auth("admin"))
+        .send({ targetId: String(tag._id) });
+      expect(self.status).toBe(400);
+
+      const invalid = await request(env.app)
+        .post(`/tags/${tag._id}/merge`)
+        .set(auth("admin"))
+        .send({ targetId: "nope" });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(env.app)
+        .post(`/tags/${tag._id}/merge`)
+        .set(auth("admin"))
+        .send({ targetId: missingId() });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /tags/:id", () => {
+    it("only deletes unused tags", async () => {
+      const used = await createTag(env.collections);
+      const unused = await createTag(env.collections, {
+        value: "go",
+        label: "Go",
+        slug: "go",
+      });
+      await createPost(env.collections);
+
+      const conflict = await request(env.app)
+        .delete(`/tags/${used._id}`)
+        .set(auth("admin"));
+      expect(conflict.status).toBe(409);
+      expect(conflict.body.details.postCount).toBe(1);
+
+      const deleted = await request(env.app)
+        .delete(`/tags/${unused._id}`)
+        .set(auth("admin"));
+      expect(deleted.status).toBe(200);
+
+      const missing = await request(env.app)
+        .delete(`/tags/${unused._id}`)
+        .set(auth("admin"));
+      expect(missing.status).toBe(404);
+    });
+  });
+});
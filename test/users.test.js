@@ -0,0 +1,319 @@
+const request = require("supertest");
+const {
+  USERS,
+  auth,
+  setup,
+  reset,
+  teardown,
+  createPost,
+  createTag,
+  missingId,
+} = require("./helpers");
+
+describe("users and profiles", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await setup();
+  });
+  beforeEach(() => reset(env));
+  afterAll(() => teardown(env));
+
+  const profileId = async (key) =>
+    String(
+      (await env.collections.users.findOne({ email: USERS[key].email }))._id
+    );
+
+  describe("POST /users", () => {
+    it("stores a new user once", async () => {
+      const body = { name: "Nia", email: "nia@example.com" };
+
+      const created = await request(env.app).post("/users").send(body);
+      expect(created.status).toBe(201);
+      expect(created.body.insertedId).toBeDefined();
+
+      const again = await request(env.app).post("/users").send(body);
+      expect(again.status).toBe(200);
+      expect(again.body.message).toBe("User already exists");
+
+      const stored = await env.collections.users.findOne({
+        email: "nia@example.com",
+      });
+      expect(stored).toMatchObject({ role: "user", paymentStatus: "unpaid" });
+    });
+
+    it("validates the body", async () => {
+      const res = await request(env.app)
+        .post("/users")
+        .send({ email: "nope", role: "admin" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(
+        expect.arrayContaining([
+          { field: "role", message: "is not allowed" },
+          { field: "email", message: "must be a valid email address" },
+        ])
+      );
+    });
+
+    it("is rate limited per client IP", async () => {
+      for (let i = 0; i < 10; i++) {
+        await request(env.app)
+          .post("/users")
+          .send({ email: `user${i}@example.com` })
+          .expect(201);
+      }
+
+      // Not behind a proxy, so a forged X-Forwarded-For changes nothing
+      const res = await request(env.app)
+        .post("/users")
+        .set("X-Forwarded-For", "203.0.113.7")
+        .send({ email: "one-more@example.com" });
+      expect(res.status).toBe(429);
+      expect(res.headers["retry-after"]).toBeDefined();
+    });
+  });
+
+  describe("GET /users", () => {
+    it("pages and searches users", async () => {
+      const res = await request(env.app)
+        .get("/users?search=example.com&limit=2&sort=name")
+        .set(auth("user"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.users.map((u) => u.name)).toEqual(["Ada", "Alice"]);
+      expect(res.body.total).toBe(Object.keys(USERS).length);
+    });
+
+    it("treats the search as plain text", async () => {
+      const res = await request(env.app)
+        .get("/users?search=.*")
+        .set(auth("user"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.users).toEqual([]);
+    });
+  });
+
+  describe("GET /me", () => {
+    it("returns the caller with their permissions", async () => {
+      const res = await request(env.app).get("/me").set(auth("moderator"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.email).toBe(USERS.moderator.email);
+      expect(res.body.permissions).toEqual(
+        expect.arrayContaining(["posts:create", "comments:delete"])
+      );
+      expect(res.body.permissions).not.toContain("users:manage");
+    });
+
+    it("404s for callers that were never stored", async () => {
+      const res = await request(env.app).get("/me").set(auth("unknown"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /users/me", () => {
+    it("updates the profile and dedupes skills", async () => {
+      const res = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({
+          bio: "  Hi there ",
+          skills: ["node", "node", "mongo"],
+          links: { github: "https://github.com/alice" },
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({
+        bio: "Hi there",
+        skills: ["node", "mongo"],
+        links: { github: "https://github.com/alice" },
+      });
+    });
+
+    it("rejects empty and invalid updates", async () => {
+      const empty = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({});
+      expect(empty.status).toBe(400);
+      expect(empty.body.message).toBe("Nothing to update");
+
+      const invalid = await request(env.app)
+        .patch("/users/me")
+        .set(auth("user"))
+        .send({ links: { github: "https://gitlab.com/alice" }, email: "x" });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details.map((e) => e.field).sort()).toEqual([
+        "email",
+        "links.github",
+      ]);
+    });
+
+    it("404s for callers that were never stored", async () => {
+      const res = await request(env.app)
+        .patch("/users/me")
+        .set(auth("unknown"))
+        .send({ name: "Nia" });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /profiles/:id", () => {
+    it("shows a public profile without the email address", async () => {
+      await createPost(env.collections, { upVoteCount: 2, score: 2 });
+
+      const res = await request(env.app).get(
+        `/profiles/${await profileId("user")}`
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        name: "Alice",
+        badge: "Bronze",
+        postCount: 1,
+        votesReceived: { up: 2, down: 0, score: 2 },
+      });
+      expect(JSON.stringify(res.body)).not.toContain(USERS.user.email);
+    });
+
+    it("404s for unknown profiles", async () => {
+      const res = await request(env.app).get(`/profiles/${missingId()}`);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("follows and feed", () => {
+    it("follows authors and tags and builds the feed from them", async () => {
+      const tag = await createTag(env.collections, { value: "rust" });
+      await createPost(env.collections, { title: "From Alice" });
+      await createPost(env.collections, {
+        title: "About rust",
+        tag: "rust",
+        authorEmail: USERS.admin.email,
+      });
+      await createPost(env.collections, {
+        title: "Unrelated",
+        tag: "go",
+        authorEmail: USERS.admin.email,
+      });
+
+      await request(env.app)
+        .post(`/profiles/${await profileId("user")}/follow`)
+        .set(auth("other"))
+        .expect(201);
+      await request(env.app)
+        .post(`/tags/${tag._id}/follow`)
+        .set(auth("other"))
+        .expect(201);
+
+      const follows = await request(env.app).get("/follows").set(auth("other"));
+      expect(follows.body.followingCount).toBe(2);
+      expect(follows.body.tags[0].value).toBe("rust");
+
+      const feed = await request(env.app).get("/feed").set(auth("other"));
+      expect(feed.status).toBe(200);
+      expect(feed.body.posts.map((p) => p.title).sort()).toEqual([
+        "About rust",
+        "From Alice",
+      ]);
+
+      await request(env.app)
+        .delete(`/tags/${tag._id}/follow`)
+        .set(auth("other"))
+        .expect(200);
+      const after = await request(env.app).get("/feed").set(auth("other"));
+      expect(after.body.posts.map((p) => p.title)).toEqual(["From Alice"]);
+    });
+
+    it("returns an empty feed when nothing is followed", async () => {
+      const res = await request(env.app).get("/feed").set(auth("other"));
+      expect(res.status).toBe(200);
+      expect(res.body.posts).toEqual([]);
+    });
+
+    it("rejects following yourself or unknown targets", async () => {
+      const self = await request(env.app)
+        .post(`/profiles/${await profileId("user")}/follow`)
+        .set(auth("user"));
+      expect(self.status).toBe(400);
+
+      const profile = await request(env.app)
+        .post(`/profiles/${missingId()}/follow`)
+        .set(auth("user"));
+      expect(profile.status).toBe(404);
+
+      const tag = await request(env.app)
+        .post(`/tags/${missingId()}/follow`)
+        .set(auth("user"));
+      expect(tag.status).toBe(404);
+    });
+  });
+
+  describe("GET /users/:email", () => {
+    it("returns the user with their badge", async () => {
+      const res = await request(env.app)
+        .get(`/users/${USERS.member.email}`)
+        .set(auth("user"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.badge).toBe("Gold");
+    });
+
+    it("404s for unknown emails", async () => {
+      const res = await request(env.app)
+        .get("/users/nobody@example.com")
+        .set(auth("user"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /users/:email/quota", () => {
+    it("is visible to the user and admins only", async () => {
+      const path = `/users/${USERS.user.email}/quota`;
+
+      const own = await request(env.app).get(path).set(auth("user"));
+      expect(own.status).toBe(200);
+      expect(own.body).toMatchObject({ limit: 5, remaining: 5, canPost: true });
+
+      const admin = await request(env.app).get(path).set(auth("admin"));
+      expect(admin.status).toBe(200);
+
+      const other = await request(env.app).get(path).set(auth("other"));
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe("membership config", () => {
+    it("is public to read and admin only to change", async () => {
+      const initial = await request(env.app).get("/config/membership");
+      expect(initial.status).toBe(200);
+      expect(initial.body.price).toBe(10);
+
+      const updated = await request(env.app)
+        .patch("/config/membership")
+        .set(auth("admin"))
+        .send({ price: 15, tiers: { unpaid: { postLimit: 2 } } });
+      expect(updated.status).toBe(200);
+      expect(updated.body.config.price).toBe(15);
+      expect(updated.body.config.tiers.unpaid).toMatchObject({
+        name: "Bronze",
+        postLimit: 2,
+      });
+    });
+
+    it("validates the config", async () => {
+      const res = await request(env.app)
+        .patch("/config/membership")
+        .set(auth("admin"))
+        .send({ price: 0, tiers: { gold: {} } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map((e) => e.field).sort()).toEqual([
+        "price",
+        "tiers.gold",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const multer = require("multer");
+const sharp = require("sharp");
+const { sendError } = require("./errors");
+
+// Upload limits and the file types we accept. The type is worked out from
+// the file's first bytes; the Content-Type the client sent must agree.
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const FILE_TYPES = {
+  "image/jpeg": { extension: "jpg", image: true },
+  "image/png": { extension: "png", image: true },
+  "image/gif": { extension: "gif", image: true },
+  "image/webp": { extension: "webp", image: true },
+  "application/pdf": { extension: "pdf", image: false },
+};
+
+// Square avatar thumbnails, by edge length in pixels
+const THUMBNAIL_SIZES = [64, 256];
+
+// Identify a file from its magic bytes; returns a FILE_TYPES key or null
+const detectType = (buffer) => {
+  const startsWith = (bytes, offset = 0) =>
+    bytes.every((byte, i) => buffer[offset + i] === byte);
+  const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    return "image/png";
+  if (startsWith(ascii("GIF87a")) || startsWith(ascii("GIF89a")))
+    return "image/gif";
+  if (startsWith(ascii("RIFF")) && startsWith(ascii("WEBP"), 8))
+    return "image/webp";
+  if (startsWith(ascii("%PDF-"))) return "application/pdf";
+  return null;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 5 },
+}).single("file");
+
+// Middleware: read a multipart body with one file in the "file" field into
+// req.file (kept in memory) and answer 413/400 for oversized or odd bodies
+const receiveFile = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return sendError(res, 413, "File is too large", {
+        details: { maxBytes: MAX_UPLOAD_BYTES },
+      });
+    }
+    if (err instanceof multer.MulterError) {
+      return sendError(res, 400, `Invalid upload: ${err.message}`);
+    }
+    next(err);
+  });
+};
+
+// Width and height of an image; throws when sharp can't decode it
+const readImageSize = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+};
+
+// Center-cropped WebP thumbnails for each of THUMBNAIL_SIZES
+const createThumbnails = (buffer) =>
+  Promise.all(
+    THUMBNAIL_SIZES.map(async (size) => ({
+      size,
+      contentType: "image/webp",
+      buffer: await sharp(buffer)
+        .rotate() // respect EXIF orientation from phone cameras
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    }))
+  );
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  FILE_TYPES,
+  THUMBNAIL_SIZES,
+  detectType,
+  receiveFile,
+  readImageSize,
+  createThumbnails,
+};
@@ -0,0 +1,162 @@
+const { ObjectId } = require("mongodb");
+const { sendError } = require("./errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check a single value against its field rule; returns an error message or null
+const checkField = (rule, value) => {
+  if (value === null && rule.nullable) return null;
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength)
+        return `must be at least ${rule.minLength} characters`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength)
+        return `must be at most ${rule.maxLength} characters`;
+      if (rule.format === "email" && !EMAIL_PATTERN.test(value))
+        return "must be a valid email address";
+      if (rule.format === "url" && !/^https?:\/\/\S+$/.test(value))
+        return "must be an http(s) URL";
+      if (rule.format === "objectId" && !ObjectId.isValid(value))
+        return "must be a valid ID";
+      if (rule.format === "date" && isNaN(Date.parse(value)))
+        return "must be a valid date";
+      if (rule.pattern && !rule.pattern.test(value))
+        return rule.patternMessage || "has an invalid format";
+      if (
+        rule.maxLinks !== undefined &&
+        (value.match(/https?:\/\/|www\./gi) || []).length > rule.maxLinks
+      )
+        return `must contain at most ${rule.maxLinks} links`;
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return "must be a number";
+      if (rule.type === "integer" && !Number.isInteger(value))
+        return "must be an integer";
+      if (rule.min !== undefined && value < rule.min)
+        return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max)
+        return `must be at most ${rule.max}`;
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") return "must be true or false";
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) return "must be an array";
+      if (rule.maxItems !== undefined && value.length > rule.maxItems)
+        return `must have at most ${rule.maxItems} items`;
+      if (rule.items) {
+        for (const item of value) {
+          const error = checkField(rule.items, item);
+          if (error) return `items ${error}`;
+        }
+      }
+      break;
+
+    case "object":
+      if (typeof value !== "object" || value === null || Array.isArray(value))
+        return "must be an object";
+      break;
+
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value))
+    return `must be one of: ${rule.enum.join(", ")}`;
+
+  return null;
+};
+
+/**
+ * Validate `body` against `schema` (a map of field name -> rule).
+ * Unknown fields are rejected, strings are trimmed and nested "object" rules
+ * are validated through their `properties` schema.
+ * With `partial`, required fields may be left out (used for PATCH bodies).
+ * Returns `{ value, errors }` where `value` only holds declared fields.
+ */
+const validate = (schema, body, { partial = false } = {}, prefix = "") => {
+  const errors = [];
+  const value = {};
+  const input = body && typeof body === "object" ? body : {};
+
+  for (const field of Object.keys(input)) {
+    if (!schema[field]) {
+      errors.push({ field: prefix + field, message: "is not allowed" });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    const path = prefix + field;
+
+    if (raw === undefined || raw === "") {
+      if (rule.required && !partial) {
+        errors.push({ field: path, message: "is required" });
+      }
+      continue;
+    }
+
+    const error = checkField(rule, raw);
+    if (error) {
+      errors.push({ field: path, message: error });
+      continue;
+    }
+
+    if (rule.type === "object" && rule.properties) {
+      const nested = validate(
+        rule.properties,
+        raw,
+        { partial: partial || rule.partial },
+        `${path}.`
+      );
+      errors.push(...nested.errors);
+      value[field] = nested.value;
+    } else if (rule.type === "string" && raw !== null) {
+      value[field] = raw.trim();
+    } else {
+      value[field] = raw;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Middleware: reject bodies that don't match `schema` with a 400 whose
+// details list every problem, otherwise replace req.body with the validated value
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length > 0) {
+      return sendError(res, 400, "Validation failed", {
+        code: "VALIDATION_FAILED",
+        details: errors,
+      });
+    }
+    req.body = value;
+    next();
+  };
+
+// Route param handler: 400 for ids that aren't valid ObjectIds
+const validateObjectIdParam = (req, res, next, value, name) => {
+  if (!ObjectId.isValid(value)) {
+    return sendError(res, 400, "Validation failed", {
+      code: "VALIDATION_FAILED",
+      details: [{ field: name, message: "must be a valid ID" }],
+    });
+  }
+  next();
+};
+
+module.exports = {
+  validate,
+  validateBody,
+  validateObjectIdParam,
+};